@@ -1,5 +1,11 @@
 import {Signal} from './Signal.js';
 import {Watcher} from './Watcher.js';
+import {Codec} from './Codec.js';
+import {Deep} from './Deep.js';
+import {Reconciler} from './Reconciler.js';
+import {JSONPatch} from './JSONPatch.js';
+import {Schema} from './Schema.js';
+import {Builder} from './Builder.js';
 
 // Helper to diff two arrays
 function diff(oldArray, newArray) {
@@ -108,33 +114,93 @@ function patchJS(oldArray, newArray, changes) {
 }
 
 export class Arr extends Array {
+  // map, filter, slice, splice... return plain arrays, not new reactive Arr instances
+  static get [Symbol.species]() {
+    return Array;
+  }
+
   constructor(data, options) {
-    data ? super(...data) : super();
+    // super(...data) would turn a single numeric item into a length
+    super();
+    if (data) for (const item of data) this.push(item);
+
+    this[Signal.Symbol] = new Signal(this, { ...options, container: true });
+
+    // Reading through the signal reports the read to sniffers and dependency trackers
+    const read = () => this[Signal.Symbol].value;
+    const notify = (records) => this[Signal.Symbol].changed(records); // bumps the revision and persists
+    const after = (value, record) => notify(record ? [record] : undefined);
+    const record = options?.records === true;
 
-    this[Signal.Symbol] = new Signal(this, options);
+    // Writes are checked against the schema, which describes the whole array
+    const validate = options?.schema ? Schema.validator(options.schema, options.invalid) : null;
+    const validateArgs = validate ? (args, prop) => Schema.arguments(validate, prop, args, this.length) : null;
+
+    // Opt-in deep reactivity, nested values are wrapped as they are read and stored raw
+    const deep = options?.deep ? new Deep(notify, read, record, validate, this) : null;
+    const unwrap = deep ? (args) => args.map(Deep.raw) : null;
 
     const members = [
       // RegExp for numeric indexes
       {
         name: /^\d+$/,
-        after: () => this[Signal.Symbol].notify()
+        after,
+        record,
+        read,
+        wrap: deep ? (value, prop) => deep.wrap(value, [Number(prop)]) : null,
+        map: deep ? Deep.raw : null,
+        validate: validate ? (value, prop) => validate(value, [Number(prop)]) : null,
+        deleteProperty: { after },
+        defineProperty: { after, map: deep ? Deep.rawDescriptor : null }
+      },
+      {
+        name: (prop) => ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse'].includes(prop),
+        after,
+        record,
+        map: unwrap,
+        validate: validateArgs
       },
       {
-        name: (prop) => ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'length'].includes(prop),
-        after: () => this[Signal.Symbol].notify()
+        name: 'length',
+        after,
+        record,
+        read,
+        defineProperty: { after }
+      },
+      {
+        name: (prop) => prop === Symbol.iterator,
+        read,
+        wrap: deep ? (iterator) => deep.iterate(iterator) : null
       },
     ];
 
+    // Search raw items rather than their proxies
+    if (deep) members.push({ name: (prop) => ['includes', 'indexOf', 'lastIndexOf'].includes(prop), before: read, map: unwrap });
+
     return Watcher.watch(this, members);
   }
 
 
-  subscribe(subscriber, options = {}) {
+  subscribe(subscriber, options = {}, autorun = true) {
+    // subscribe('3/name', fn) only runs when the value at the path changes
+    if (typeof subscriber === 'string') {
+      const selected = Builder.select(this, subscriber);
+      selected.subscribe(options, autorun);
+      return () => selected.dispose();
+    }
+
+    if (typeof options === 'boolean') options = { signal: options };
+
     // Short circuit - no diffing needed
     if (options.diff === undefined) {
       return this[Signal.Symbol].subscribe(subscriber, options.signal);
     }
 
+    // RFC 6902 operations, diffed against a JSON snapshot so nested changes are included
+    if (options.diff === 'JSONPatch') {
+      return JSONPatch.subscribe(this[Signal.Symbol], subscriber, options, []);
+    }
+
     // Each subscriber gets its own previousState in closure
     let previousState = [ ];
 
@@ -147,15 +213,22 @@ export class Arr extends Array {
       // console.log('changeComputer value', value);
       // console.log('changeComputer  Object.is', Object.is(previousState, value));
 
-      // Compute the changes
-      const changes = diff(previousState, value);
-
-      // Generate patch operations based on format
+      let changes;
       let patch = undefined;
-      if (options.diff === 'DOM') {
-        patch = patchDOM(previousState, value, changes);
-      } else if (options.diff === 'JS') {
-        patch = patchJS(previousState, value, changes);
+
+      if (options.key) {
+        // Keyed reconciliation, emits moves and handles duplicates
+        ({ operations: patch, changes } = Reconciler.reconcile(previousState, value, options.key, options.diff));
+      } else {
+        // Compute the changes
+        changes = diff(previousState, value);
+
+        // Generate patch operations based on format
+        if (options.diff === 'DOM') {
+          patch = patchDOM(previousState, value, changes);
+        } else if (options.diff === 'JS') {
+          patch = patchJS(previousState, value, changes);
+        }
       }
 
       // Update previous state for next comparison
@@ -170,5 +243,33 @@ export class Arr extends Array {
     return unsubscribe;
   }
 
+  /**
+   * Derived signal holding the value at path, disposed together with this Arr
+   * @param {string} path - Builder path like '3/name'
+   * @returns {Computed}
+   */
+  select(path) {
+    const signal = this[Signal.Symbol];
+    const selected = Builder.select(this, path);
+    const release = () => selected.dispose();
+    signal.addDisposable(release);
+    // Disposed on its own, the selector is taken off this container again
+    selected.addDisposable(() => signal.removeDisposable(release));
+    return selected;
+  }
+
+  // Observable interop, emits the current value and every change
+  [Signal.observable]() {
+    return this[Signal.Symbol][Signal.observable]();
+  }
+
+  // for await (const value of arr), ends when the Arr is disposed
+  [Symbol.asyncIterator]() {
+    return this[Signal.Symbol][Symbol.asyncIterator]();
+  }
+
 
 }
+
+// Nested Arrs are stored as their items and come back as Arrs, see Codec.js
+Codec.register(Arr, { encode: (arr) => Array.from(arr), decode: (items) => new Arr(items) });
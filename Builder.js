@@ -6,10 +6,17 @@
 */
 import { Obj } from './Obj.js';
 import { Arr } from './Arr.js';
+import { Signal } from './Signal.js';
+import { computed } from './Computed.js';
+import { ReactiveMap } from './ReactiveMap.js';
+import { ReactiveSet } from './ReactiveSet.js';
+import { Deep } from './Deep.js';
 
 export class Builder {
   static ARRAY_SUFFIX = '.arr';
   static PATH_DELIMITER = '/';
+  static ESCAPE = '\\';
+  static WILDCARD = '*';
 
   /**
    * Creates nested structure from path string
@@ -48,19 +55,23 @@ export class Builder {
 
   /**
    * Parses path string (/a/b/c.arr/1/d) into structured segments
-   * this.ARRAY_SUFFIX is always .arr
+   * this.ARRAY_SUFFIX is always .arr, a backslash escapes / . * and itself inside a key
    * @private
    */
   static parsePath(pathExpression) {
-    const segments = pathExpression
-      .split(this.PATH_DELIMITER)
+    const segments = this.#split(pathExpression, this.PATH_DELIMITER)
       .filter(segment => segment.length > 0)
-      .map(segment => ({
-        key: segment.split('.')[0],
-        isArray: segment.endsWith(this.ARRAY_SUFFIX),
-        inArray: false, // Default to false
-        originalSegment: segment
-      }));
+      .map(segment => {
+        const [name, ...suffixes] = this.#split(segment, '.');
+        return {
+          key: this.unescape(name),
+          isArray: suffixes.at(-1) === this.ARRAY_SUFFIX.slice(1),
+          inArray: false, // Default to false
+          wildcard: name === this.WILDCARD, // query only, matches every key
+          slice: this.#slice(name), // query only, [start:end] of an array
+          originalSegment: segment
+        };
+      });
 
     // Update the `inArray` property
     for (let i = 1; i < segments.length; i++) {
@@ -84,17 +95,270 @@ export class Builder {
       throw new TypeError('Path expression must be a non-empty string');
     }
 
-    // Validate path format
-    const invalidChars = /[^a-zA-Z0-9_\-./]/;
+    // Validate path format, backslashes escape the characters that have a meaning in paths
+    const invalidChars = /[^a-zA-Z0-9_\-./\\*]/;
     if (invalidChars.test(pathExpression)) {
       throw new Error(`Invalid characters in path: ${pathExpression}`);
     }
   }
 
+  /**
+   * Reads the value at path, undefined when any part of it is missing
+   * @param target - Root object, Arr, Obj or ReactiveMap
+   * @param pathExpression - Path like 'a/b.arr/0/c'
+   * @returns The value at path
+   */
+  static get(target, pathExpression) {
+    return this.parsePath(pathExpression).reduce((node, { key }) => this.#child(node, key), target);
+  }
+
+  /**
+   * True when the last key of path exists, own properties only for objects
+   * @param target - Root object, Arr, Obj or ReactiveMap
+   * @param pathExpression - Path like 'a/b.arr/0/c'
+   */
+  static has(target, pathExpression) {
+    const { parent, key } = this.#locate(target, pathExpression);
+    if (parent === null || typeof parent !== 'object') return false;
+    return parent instanceof Map ? parent.has(key) : Object.hasOwn(parent, key);
+  }
+
+  /**
+   * Writes value at path, missing containers along the way are created like create() does
+   * @param target - Root object, Arr, Obj or ReactiveMap (will be mutated)
+   * @param pathExpression - Path like 'a/b.arr/0/c'
+   * @param value - Value to store
+   * @returns The root object (for chaining)
+   */
+  static set(target, pathExpression, value) {
+    this.validateInputs(target, pathExpression);
+    const segments = this.parsePath(pathExpression);
+    const last = segments.pop();
+    const parent = segments.reduce((node, { key, isArray }) => {
+      let child = this.#child(node, key);
+      if (child === null || typeof child !== 'object') {
+        child = isArray ? new Arr(null, {}) : new Obj(null, {});
+        this.#assign(node, key, child);
+      }
+      return child;
+    }, target);
+    this.#assign(parent, last.key, value);
+    return target;
+  }
+
+  /**
+   * Removes the value at path, array items are spliced out so later items move up
+   * @param target - Root object, Arr, Obj or ReactiveMap (will be mutated)
+   * @param pathExpression - Path like 'a/b.arr/0/c'
+   * @returns {boolean} True when something was removed
+   */
+  static delete(target, pathExpression) {
+    if (!this.has(target, pathExpression)) return false;
+    const { parent, key } = this.#locate(target, pathExpression);
+    if (parent instanceof Map) return parent.delete(key);
+    if (Array.isArray(parent)) return parent.splice(parseInt(key), 1).length === 1;
+    return delete parent[key];
+  }
+
+  /**
+   * Every value matched by a path with wildcards and slices:
+   *   'users.arr/*'            every user, * matches every key of an array, object or Map
+   *   'users.arr/[0:5]/name'   names of the first five users, bounds work like Array.prototype.slice and may be omitted or negative
+   * Missing keys match nothing.
+   * @param target - Root object, Arr, Obj or ReactiveMap
+   * @param pathExpression - Path with wildcards and slices, plain paths match at most one value
+   * @returns {Array} Matched values in key order
+   */
+  static query(target, pathExpression) {
+    return this.parsePath(pathExpression).reduce((nodes, segment) => nodes.flatMap((node) => this.#match(node, segment)), [target]);
+  }
+
+  /**
+   * True when path has a wildcard or a slice
+   */
+  static isQuery(pathExpression) {
+    return this.parsePath(pathExpression).some(({ wildcard, slice }) => wildcard || slice);
+  }
+
+  /**
+   * Derived signal holding the value at path, it only notifies when that value changes.
+   * Every Arr and Obj along the path is a dependency, so replacing a parent is noticed too.
+   * A query path holds the array of matches, which only notifies when a match changes.
+   * @param target - Root Arr or Obj
+   * @param pathExpression - Path like 'user/profile/name' or 'users.arr/[0:5]/name'
+   * @returns {Computed} Dispose it when it is no longer needed
+   */
+  static select(target, pathExpression) {
+    if (!this.isQuery(pathExpression)) return computed(() => this.get(target, pathExpression));
+    let matches = [];
+    return computed(() => {
+      const next = this.query(target, pathExpression);
+      const same = next.length === matches.length && next.every((value, index) => Object.is(value, matches[index]));
+      return same ? matches : (matches = next);
+    });
+  }
+
+  /**
+   * Escapes / . * and backslashes, so any key can be used as a path segment
+   * @param key - Object key, Map key or array index
+   */
+  static escape(key) {
+    return String(key).replace(/[\\/.*]/g, (character) => this.ESCAPE + character);
+  }
+
+  static unescape(segment) {
+    return segment.replace(/\\(.)/g, '$1');
+  }
+
+  // Splits on every delimiter that is not escaped, escapes are kept for the next split
+  static #split(string, delimiter) {
+    const parts = [''];
+    for (let i = 0; i < string.length; i++) {
+      if (string[i] === this.ESCAPE && i + 1 < string.length) parts[parts.length - 1] += string[i] + string[++i];
+      else if (string[i] === delimiter) parts.push('');
+      else parts[parts.length - 1] += string[i];
+    }
+    return parts;
+  }
+
+  static #slice(name) {
+    const bounds = /^\[(-?\d*):(-?\d*)\]$/.exec(name);
+    if (!bounds) return null;
+    const [, start, end] = bounds;
+    return { start: start === '' ? undefined : Number(start), end: end === '' ? undefined : Number(end) };
+  }
+
+  static #child(node, key) {
+    if (node === null || node === undefined) return undefined;
+    return node instanceof Map ? node.get(key) : node[key];
+  }
+
+  static #assign(node, key, value) {
+    if (node instanceof Map) node.set(key, value);
+    else node[Array.isArray(node) ? parseInt(key) : key] = value;
+  }
+
+  // Container holding the last key of path
+  static #locate(target, pathExpression) {
+    const segments = this.parsePath(pathExpression);
+    const { key } = segments.pop();
+    const parent = segments.reduce((node, segment) => this.#child(node, segment.key), target);
+    return { parent, key };
+  }
+
+  static #match(node, { key, wildcard, slice }) {
+    if (!wildcard && !slice) {
+      const child = this.#child(node, key); // read first, so a selected query notices the key appearing
+      return child !== undefined || this.#owns(node, key) ? [child] : [];
+    }
+    if (node === null || typeof node !== 'object') return [];
+    // Report a read of the container itself, so a selected query notices added and removed keys
+    node[Signal.Symbol]?.value;
+    if (slice) return Array.isArray(node) ? [...node].slice(slice.start, slice.end) : [];
+    if (node instanceof Map) return [...node.values()];
+    return Array.isArray(node) ? [...node] : Object.keys(node).map((name) => node[name]);
+  }
+
+  static #owns(node, key) {
+    if (node === null || typeof node !== 'object') return false;
+    return node instanceof Map ? node.has(key) : Object.hasOwn(node, key);
+  }
+
   /**
    * Utility method for common use case
    */
   static dig(initial, path) {
     return this.create(initial, path);
   }
+
+  /**
+   * Builds a whole reactive tree from a declarative spec
+   *
+   * Spec nodes:
+   *   [items]                                   Arr of the built items
+   *   {key: spec}                               Obj of the built values
+   *   {$type, $value, $options, $schema}        descriptor, $type is 'obj', 'arr', 'map', 'set', 'signal' or 'value',
+   *                                             inferred from $value when left out. An obj descriptor may list its
+   *                                             children next to the $ keys instead of in $value.
+   *   anything else                             stored as is
+   * Every node gets a Signal name derived from its path ('settings/theme'), so persistence: true is all
+   * a node needs to be stored under its own key. $schema of a 'value' node is checked by the Obj holding it.
+   * @param spec - Template
+   * @param options - Signal options for every node, $options of a node take precedence
+   * @returns The built tree
+   */
+  static fromTemplate(spec, options = {}) {
+    return this.#build(spec, [], options);
+  }
+
+  /**
+   * Infers a template from an existing tree, fromTemplate(toTemplate(tree)) builds an equal tree.
+   * Signal options are not part of the tree and are left out.
+   * @param tree - Arr, Obj, ReactiveMap, ReactiveSet, Signal or a plain value
+   * @returns Template
+   */
+  static toTemplate(tree) {
+    if (tree instanceof Arr) return [...tree].map((item) => this.toTemplate(item));
+    if (tree instanceof Obj) return Object.fromEntries(Object.keys(tree).map((key) => [key, this.toTemplate(tree[key])]));
+    if (tree instanceof ReactiveMap) return { $type: 'map', $value: [...tree].map(([key, value]) => [key, this.toTemplate(value)]) };
+    if (tree instanceof ReactiveSet) return { $type: 'set', $value: [...tree].map((value) => this.toTemplate(value)) };
+    if (tree instanceof Signal) return { $type: 'signal', $value: tree.peek() };
+    // Plain containers would become Arr and Obj when built, keep them plain
+    if (Array.isArray(tree) || this.#isPlain(tree)) return { $type: 'value', $value: Deep.raw(tree) };
+    return tree;
+  }
+
+  static #build(spec, path, defaults) {
+    const node = this.#describe(spec);
+    const name = path.map((key) => this.escape(key)).join(this.PATH_DELIMITER) || 'root';
+    const options = { ...defaults, name, ...node.options };
+    if (node.schema !== undefined) options.schema = node.schema;
+    const child = (value, key) => this.#build(value, [...path, key], defaults);
+
+    switch (node.type) {
+      case 'value':
+        return node.value;
+      case 'signal':
+        return new Signal(node.value, options);
+      case 'arr':
+        return new Arr(node.value.map(child), options);
+      case 'set':
+        return new ReactiveSet(node.value.map(child), options);
+      case 'map': {
+        const entries = Array.isArray(node.value) ? node.value : Object.entries(node.value);
+        return new ReactiveMap(entries.map(([key, value]) => [key, child(value, key)]), options);
+      }
+      case 'obj': {
+        const data = {};
+        const schemas = {};
+        for (const [key, value] of Object.entries(node.value)) {
+          data[key] = child(value, key);
+          const described = this.#describe(value);
+          if (described.type === 'value' && described.schema !== undefined) schemas[key] = described.schema;
+        }
+        // Leaf schemas join the object schema of the Obj, a validate function or type string stays in charge
+        if (Object.keys(schemas).length && (options.schema === undefined || this.#isPlain(options.schema))) options.schema = { ...schemas, ...options.schema };
+        return new Obj(data, options);
+      }
+      default:
+        throw new TypeError(`Unknown template type at ${name}: ${node.type}`);
+    }
+  }
+
+  static #describe(spec) {
+    if (Array.isArray(spec)) return { type: 'arr', value: spec };
+    if (!this.#isPlain(spec)) return { type: 'value', value: spec };
+    if (!Object.hasOwn(spec, '$type') && !Object.hasOwn(spec, '$value')) return { type: 'obj', value: spec };
+
+    const { $type, $value, $options, $schema, ...children } = spec;
+    const type = $type ?? (Array.isArray($value) ? 'arr' : this.#isPlain($value) ? 'obj' : 'value');
+    const empty = { obj: children, arr: [], set: [], map: [] }[type];
+    return { type, value: $value ?? empty, options: $options, schema: $schema };
+  }
+
+  static #isPlain(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+  }
 }
@@ -0,0 +1,131 @@
+import { Walker } from './Walker.js';
+
+/**
+ * Codec - Turns values into JSON-safe data and back, used by Signal for persistence and sync
+ *
+ * JSON keeps plain objects, arrays, strings, finite numbers, booleans and null.
+ * Everything else that round-trips is written as a tagged object {$type, $value}:
+ *   Map      {$type: 'Map', $value: [[key, value], ...]}
+ *   Set      {$type: 'Set', $value: [value, ...]}
+ *   Date     {$type: 'Date', $value: '2024-01-01T00:00:00.000Z'}
+ *   BigInt   {$type: 'BigInt', $value: '12345678901234567890'}
+ *   RegExp   {$type: 'RegExp', $value: {source, flags}}
+ *   classes  {$type: name, $value: encode(instance)}, see register (Signal, Arr, Obj, ReactiveMap, ReactiveSet, Str and Num register themselves)
+ * A plain object that has a $type key of its own is wrapped as {$type: 'Object', $value: object}.
+ */
+export class Codec {
+  static TYPE = '$type';
+  static VALUE = '$value';
+
+  static #classes = new Map(); // name -> {type, name, encode, decode}
+
+  static #builtins = {
+    Map: { test: (value) => value instanceof Map, encode: (map) => [...Map.prototype.entries.call(map)], decode: (entries) => new Map(entries) },
+    Set: { test: (value) => value instanceof Set, encode: (set) => [...Set.prototype.values.call(set)], decode: (values) => new Set(values) },
+    Date: { leaf: true, test: (value) => value instanceof Date, encode: (date) => (Number.isNaN(date.getTime()) ? null : date.toISOString()), decode: (text) => new Date(text ?? NaN) },
+    BigInt: { leaf: true, test: (value) => typeof value === 'bigint', encode: (number) => String(number), decode: (text) => BigInt(text) },
+    RegExp: { leaf: true, test: (value) => value instanceof RegExp, encode: (regexp) => ({ source: regexp.source, flags: regexp.flags }), decode: ({ source, flags }) => new RegExp(source, flags) },
+  };
+
+  /**
+   * Registers a class so its instances survive encoding, the most recent registration of a name wins
+   * @param {Function} type - Class, subclasses without a registration of their own are encoded as this class
+   * @param {Object} options - {name: type.name, encode: instance => data, decode: data => instance}
+   *   encode defaults to the own enumerable properties, decode to a new instance with those properties assigned
+   */
+  static register(type, { name = type.name, encode = (instance) => ({ ...instance }), decode = (data) => Object.assign(new type(), data) } = {}) {
+    if (Object.hasOwn(Codec.#builtins, name) || name === 'Object') throw new TypeError(`${name} is a built-in codec type`);
+    Codec.#classes.delete(name);
+    Codec.#classes.set(name, { type, name, encode, decode });
+  }
+
+  static unregister(type) {
+    for (const [name, entry] of Codec.#classes) if (entry.type === type) Codec.#classes.delete(name);
+  }
+
+  /**
+   * @param {*} value - Value to encode
+   * @param {Object} options
+   * @param {boolean} options.structural - Keep keys and types, but write null for every leaf value
+   * @param {boolean} options.container - The root is a container signal value (Arr, Obj, ReactiveMap, ReactiveSet),
+   *   written untagged: an array, an object, [key, value] entries or an array of values
+   * @returns {*} JSON-safe data
+   */
+  static encode(value, { structural = false, container = false } = {}) {
+    const tags = new WeakSet(); // tagged objects made here, their $type is not a leaf
+    const escaped = new WeakSet(); // copies of plain objects with a $type key, wrapped once
+    const entries = new WeakSet(); // [key, value] pairs of encoded Maps, keys are structure too
+    const tag = (type, payload) => {
+      const tagged = { [Codec.TYPE]: type, [Codec.VALUE]: payload };
+      tags.add(tagged);
+      return tagged;
+    };
+
+    const walker = new Walker({ walkReplacements: true, depthFirst: false });
+    walker.visitor = (key, node, parent, path, isLeaf, isRoot) => {
+      if (tags.has(parent) && key === Codec.TYPE) return undefined;
+      if (entries.has(parent) && key === 0) return undefined;
+
+      if (isRoot && container) {
+        if (node instanceof Map) return Codec.#builtins.Map.encode(node);
+        if (node instanceof Set) return Codec.#builtins.Set.encode(node);
+        if (Array.isArray(node)) return Array.from(node);
+        return Object.fromEntries(Object.keys(node).map((name) => [name, node[name]]));
+      }
+
+      const registered = Codec.#registered(node);
+      if (registered) return tag(registered.name, registered.encode(node));
+
+      for (const [name, builtin] of Object.entries(Codec.#builtins)) {
+        if (!builtin.test(node)) continue;
+        if (builtin.leaf && structural) return null;
+        const payload = builtin.encode(node);
+        if (name === 'Map') payload.forEach((entry) => entries.add(entry));
+        return tag(name, payload);
+      }
+
+      if (Codec.#isPlain(node) && Object.hasOwn(node, Codec.TYPE) && !escaped.has(node)) {
+        const copy = { ...node };
+        escaped.add(copy);
+        return tag('Object', copy);
+      }
+
+      // null is a replacement, undefined keeps the value
+      if (structural && node !== undefined && (node === null || typeof node !== 'object')) return null;
+    };
+    return walker.walk(value);
+  }
+
+  /**
+   * Rebuilds what encode wrote, unknown tags are left as plain objects
+   * @param {*} data - JSON-safe data
+   * @returns {*} Decoded value
+   */
+  static decode(data) {
+    const walker = new Walker({ walkReplacements: false, depthFirst: true });
+    walker.visitor = (key, node, parent) => {
+      // The contents of an escaped object are plain data, even if they look like a tag
+      if (key === Codec.VALUE && parent?.[Codec.TYPE] === 'Object') return undefined;
+      if (!Codec.#isPlain(node) || typeof node[Codec.TYPE] !== 'string' || !Object.hasOwn(node, Codec.VALUE)) return undefined;
+
+      const type = node[Codec.TYPE];
+      const payload = node[Codec.VALUE];
+      if (type === 'Object') return payload;
+      const codec = Codec.#builtins[type] ?? Codec.#classes.get(type);
+      return codec ? codec.decode(payload) : undefined;
+    };
+    return walker.walk(data);
+  }
+
+  static #registered(value) {
+    if (value === null || typeof value !== 'object') return null;
+    const entries = [...Codec.#classes.values()];
+    return entries.find(({ type }) => value.constructor === type) ?? entries.reverse().find(({ type }) => value instanceof type) ?? null;
+  }
+
+  static #isPlain(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+  }
+}
@@ -0,0 +1,93 @@
+import { Signal } from './Signal.js';
+import { Tracker } from './Tracker.js';
+import { Scheduler } from './Scheduler.js';
+
+export class Computed extends Signal {
+  #fn;
+  #tracker;
+  #dirty = true;
+  #observers = new Set();
+
+  /**
+   * Lazy, memoized signal derived from whatever fn reads
+   * @param {Function} fn - Computation, every Signal, Arr and Obj it reads becomes a dependency
+   * @param {Object} options - Signal options
+   */
+  constructor(fn, options) {
+    super(undefined, options);
+    this.#fn = fn;
+    this.#tracker = new Tracker(() => this.#invalidate(), () => this.#stale());
+    this.addDisposable(() => this.#tracker.dispose());
+  }
+
+  get dependencies() {
+    return this.#tracker.dependencies;
+  }
+
+  get dirty() {
+    return this.#dirty;
+  }
+
+  get rank() {
+    return this.#tracker.rank;
+  }
+
+  // Value System
+
+  peek() {
+    if (this.#dirty) this.#refresh();
+    return super.peek();
+  }
+
+  get value() {
+    if (this.#dirty) this.#refresh();
+    return super.value;
+  }
+
+  set value(v) {
+    throw new Error("Computed signals are read-only");
+  }
+
+  // Detect Writes
+
+  subscribe(subscriber, autorun = true) {
+    if (this.#dirty) this.#refresh();
+    this.#observers.add(subscriber);
+    return super.subscribe(subscriber, autorun);
+  }
+
+  unsubscribe(subscriber) {
+    this.#observers.delete(subscriber);
+    super.unsubscribe(subscriber);
+  }
+
+  // Recomputation
+
+  #invalidate() {
+    this.#dirty = true;
+    // Nobody is listening, stay dirty until the next read
+    if (this.#observers.size) Scheduler.schedule(this.#update, this.rank);
+  }
+
+  // A dependency was written, reads recompute from now on even before the change is delivered
+  #stale() {
+    if (this.#dirty) return;
+    this.#dirty = true;
+    this.stale();
+  }
+
+  // Scheduler key, several dependencies changing in one flush recompute once
+  #update = () => {
+    if (this.#dirty) this.#refresh();
+  };
+
+  #refresh() {
+    const value = this.#tracker.run(this.#fn);
+    this.#dirty = false;
+    this.set(value);
+  }
+}
+
+export function computed(fn, options) {
+  return new Computed(fn, options);
+}
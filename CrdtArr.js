@@ -0,0 +1,247 @@
+import { Signal } from './Signal.js';
+import { Arr } from './Arr.js';
+import { Replica } from './Replica.js';
+import { JSONPatch } from './JSONPatch.js';
+
+const name = (clock) => clock[0] + '@' + clock[1];
+
+// Replicated Growable Array: items remember the item they were inserted after, concurrent
+// inserts at the same place are ordered by clock, and removed items stay behind as tombstones
+class Sequence {
+  elements = []; // {id, after, value, deleted} in document order, tombstones included
+  #byId = new Map();
+  #pending = []; // operations that refer to an item this replica has not seen yet
+
+  get length() {
+    let length = 0;
+    for (const element of this.elements) if (!element.deleted) length++;
+    return length;
+  }
+
+  // The element at a visible position
+  at(position) {
+    for (const element of this.elements) {
+      if (element.deleted) continue;
+      if (position-- === 0) return element;
+    }
+    return undefined;
+  }
+
+  // Visible position of the element, or of the place it would take
+  position(element) {
+    let position = 0;
+    for (const other of this.elements) {
+      if (other === element) return position;
+      if (!other.deleted) position++;
+    }
+    return position;
+  }
+
+  /**
+   * @returns {Array<Object>} Changes made visible, {insert: position, value} or {remove: position}
+   */
+  integrate(operation) {
+    const changes = [];
+    for (const single of Sequence.#expand(operation)) changes.push(...this.#settle(single));
+    return changes;
+  }
+
+  // A run, {values} or {ids}, stands for one operation per item, inserts with consecutive clocks
+  static #expand(operation) {
+    if (operation.op === 'insert' && operation.values) {
+      let after = operation.after;
+      return operation.values.map((value, index) => {
+        const id = [operation.id[0] + index, operation.id[1]];
+        const single = { op: 'insert', id, after, value };
+        after = id;
+        return single;
+      });
+    }
+    if (operation.op === 'delete' && operation.ids) return operation.ids.map((id) => ({ op: 'delete', id }));
+    return [operation];
+  }
+
+  #settle(operation) {
+    const changes = [];
+    const change = this.#integrate(operation);
+    if (change === undefined) {
+      this.#pending.push(operation);
+      return changes;
+    }
+    if (change) changes.push(change);
+
+    // Whatever was waiting for this operation may go through now
+    for (let progress = true; progress && this.#pending.length; ) {
+      progress = false;
+      for (const waiting of [...this.#pending]) {
+        const result = this.#integrate(waiting);
+        if (result === undefined) continue;
+        this.#pending.splice(this.#pending.indexOf(waiting), 1);
+        if (result) changes.push(result);
+        progress = true;
+      }
+    }
+    return changes;
+  }
+
+  // undefined: not yet possible, null: nothing to do
+  #integrate(operation) {
+    if (operation.op === 'insert') {
+      if (this.#byId.has(name(operation.id))) return null;
+      let at = 0;
+      if (operation.after) {
+        const parent = this.#byId.get(name(operation.after));
+        if (!parent) return undefined;
+        at = this.elements.indexOf(parent) + 1;
+      }
+      // Later concurrent inserts after the same item come first
+      while (at < this.elements.length && Replica.compare(this.elements[at].id, operation.id) > 0) at++;
+      const element = { id: operation.id, after: operation.after, value: operation.value, deleted: false };
+      this.elements.splice(at, 0, element);
+      this.#byId.set(name(element.id), element);
+      return { insert: this.position(element), value: element.value };
+    }
+
+    if (operation.op === 'delete') {
+      const element = this.#byId.get(name(operation.id));
+      if (!element) return undefined;
+      if (element.deleted) return null;
+      const position = this.position(element);
+      element.deleted = true;
+      return { remove: position };
+    }
+
+    return null;
+  }
+}
+
+/**
+ * CrdtArr - Arr whose replicas converge, concurrent inserts and removals are all kept
+ *
+ * Mutate it like any Arr, subscribe with {diff: 'CRDT'} to receive the operations of local changes,
+ * and apply() operations from other replicas. The transport option does both automatically.
+ */
+export class CrdtArr extends Arr {
+  #replica;
+  #sequence = new Sequence();
+
+  /**
+   * @param {Array} data - Initial items, replicas that start with the same items share them, different items are all kept
+   * @param {Object} options - Arr options plus {site: replica id, transport: carries the operations}
+   */
+  constructor(data, options = {}) {
+    const { transport, site, ...rest } = options;
+    // Operations are derived from change records, in the order the changes happened
+    super(data, { ...rest, records: true, scheduling: false });
+
+    const signal = this[Signal.Symbol];
+    const raw = signal.peek();
+
+    // Initial items belong to a site named after them, replicas that start with the same items
+    // share them and replicas that start with different items end up with both
+    if (raw.length) this.#sequence.integrate({ op: 'insert', id: [1, Replica.seed(raw)], after: null, values: JSONPatch.clone([...raw]) });
+
+    this.#replica = new Replica(signal, {
+      site,
+      local: (record) => this.#local(record, raw),
+      integrate: (operations) => this.#integrate(operations, raw),
+      state: () => this.#state(),
+    });
+    this.#replica.counter = raw.length;
+
+    if (transport) signal.addDisposable(this.#replica.connect(transport));
+  }
+
+  get site() {
+    return this.#replica.site;
+  }
+
+  subscribe(subscriber, options = {}) {
+    if (options.diff === 'CRDT') return this.#replica.subscribe(subscriber);
+    return super.subscribe(subscriber, options);
+  }
+
+  apply(operations) {
+    this.#replica.apply(operations);
+  }
+
+  state() {
+    return this.#replica.state();
+  }
+
+  connect(transport) {
+    return this.#replica.connect(transport);
+  }
+
+  // Change record -> operations, the sequence is updated as they are made
+  #local(record, raw) {
+    const operations = [];
+    // Several items removed or inserted together travel as one run
+    const remove = (position, count = 1) => {
+      if (!count) return null;
+      const ids = Array.from({ length: count }, (item, index) => this.#sequence.at(position + index).id);
+      const operation = count === 1 ? { op: 'delete', id: ids[0] } : { op: 'delete', ids };
+      this.#sequence.integrate(operation);
+      operations.push(operation);
+      return ids[0];
+    };
+    const insert = (after, values) => {
+      if (!values.length) return;
+      const id = this.#replica.tick(values.length);
+      const copies = values.map((value) => JSONPatch.clone(value));
+      const operation = copies.length === 1 ? { op: 'insert', id, after, value: copies[0] } : { op: 'insert', id, after, values: copies };
+      this.#sequence.integrate(operation);
+      operations.push(operation);
+    };
+    const before = (position) => (position > 0 ? this.#sequence.at(position - 1).id : null);
+
+    const [index] = record.path;
+    if (record.op === 'splice' && record.path.length === 0) {
+      const after = before(record.index);
+      remove(record.index, record.removed.length);
+      insert(after, record.added);
+    } else if (typeof index === 'number' && (record.op === 'set' || record.op === 'delete' || record.path.length > 1)) {
+      // An item was replaced, nested changes replace the whole item
+      const value = record.path.length > 1 ? raw[index] : record.newValue;
+      const length = this.#sequence.length;
+      if (index < length) {
+        insert(remove(index), [value]);
+      } else {
+        insert(before(length), [...new Array(index - length).fill(undefined), value]);
+      }
+    } else if (record.path.length === 0 && 'newValue' in record) {
+      // sort, reverse, fill, or a whole new value: everything is replaced, in one run each way
+      remove(0, this.#sequence.length);
+      insert(null, record.newValue);
+    }
+    return operations;
+  }
+
+  // Remote operations -> in-place splices and their change records
+  #integrate(operations, raw) {
+    const records = [];
+    for (const operation of operations) {
+      if (operation.op === 'insert') this.#replica.see([operation.id[0] + (operation.values?.length ?? 1) - 1, operation.id[1]]);
+      for (const change of this.#sequence.integrate(operation)) {
+        if ('insert' in change) {
+          const value = JSONPatch.clone(change.value);
+          raw.splice(change.insert, 0, value);
+          records.push({ path: [], op: 'splice', index: change.insert, removed: [], added: [value] });
+        } else {
+          const removed = raw.splice(change.remove, 1);
+          records.push({ path: [], op: 'splice', index: change.remove, removed, added: [] });
+        }
+      }
+    }
+    return records;
+  }
+
+  #state() {
+    const operations = [];
+    for (const { id, after, value, deleted } of this.#sequence.elements) {
+      operations.push({ op: 'insert', id, after, value });
+      if (deleted) operations.push({ op: 'delete', id });
+    }
+    return operations;
+  }
+}
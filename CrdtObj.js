@@ -0,0 +1,103 @@
+import { Signal } from './Signal.js';
+import { Obj } from './Obj.js';
+import { Replica } from './Replica.js';
+import { JSONPatch } from './JSONPatch.js';
+
+/**
+ * CrdtObj - Obj whose replicas converge, a last-writer-wins map with a Lamport clock per key
+ *
+ * Mutate it like any Obj, subscribe with {diff: 'CRDT'} to receive the operations of local changes,
+ * and apply() operations from other replicas. The transport option does both automatically.
+ */
+export class CrdtObj extends Obj {
+  #replica;
+  #clocks = new Map(); // key -> clock of the last write, deleted keys keep theirs
+
+  /**
+   * @param {Object} data - Initial properties, replicas that start with the same properties share them
+   * @param {Object} options - Obj options plus {site: replica id, transport: carries the operations}
+   */
+  constructor(data, options = {}) {
+    const { transport, site, ...rest } = options;
+    super(data, { ...rest, records: true, scheduling: false });
+
+    const signal = this[Signal.Symbol];
+    const raw = signal.peek();
+
+    // Initial properties get a clock named after their value, equal values are shared and
+    // different ones settle on the same winner everywhere
+    for (const key of Object.keys(raw)) if (!key.startsWith('_')) this.#clocks.set(key, [0, Replica.seed(raw[key])]);
+
+    this.#replica = new Replica(signal, {
+      site,
+      local: (record) => this.#local(record, raw),
+      integrate: (operations) => this.#integrate(operations, raw),
+      state: () => this.#state(raw),
+    });
+
+    if (transport) signal.addDisposable(this.#replica.connect(transport));
+  }
+
+  get site() {
+    return this.#replica.site;
+  }
+
+  subscribe(subscriber, options = true) {
+    if (options?.diff === 'CRDT') return this.#replica.subscribe(subscriber);
+    return super.subscribe(subscriber, options);
+  }
+
+  apply(operations) {
+    this.#replica.apply(operations);
+  }
+
+  state() {
+    return this.#replica.state();
+  }
+
+  connect(transport) {
+    return this.#replica.connect(transport);
+  }
+
+  // Change record -> operations, every write gets a fresh clock
+  #local(record, raw) {
+    const write = (key) => {
+      const clock = this.#replica.tick();
+      this.#clocks.set(key, clock);
+      return Object.hasOwn(raw, key) ? { op: 'set', key, value: JSONPatch.clone(raw[key]), clock } : { op: 'delete', key, clock };
+    };
+
+    if (record.path.length === 0) {
+      // A whole new value, every key that was or is there is written
+      const keys = new Set([...Object.keys(record.oldValue ?? {}), ...Object.keys(raw)]);
+      return [...keys].filter((key) => !key.startsWith('_')).map(write);
+    }
+    if (record.op === 'define') return [];
+    return [write(record.path[0])];
+  }
+
+  // Remote operations -> property writes for the ones that win, and their change records
+  #integrate(operations, raw) {
+    const records = [];
+    for (const { op, key, value, clock } of operations) {
+      this.#replica.see(clock);
+      const current = this.#clocks.get(key);
+      if (current && Replica.compare(clock, current) <= 0) continue;
+      this.#clocks.set(key, clock);
+
+      const oldValue = raw[key];
+      if (op === 'set') {
+        raw[key] = JSONPatch.clone(value);
+        records.push({ path: [key], op: 'set', oldValue, newValue: raw[key] });
+      } else if (Object.hasOwn(raw, key)) {
+        delete raw[key];
+        records.push({ path: [key], op: 'delete', oldValue });
+      }
+    }
+    return records;
+  }
+
+  #state(raw) {
+    return [...this.#clocks].map(([key, clock]) => (Object.hasOwn(raw, key) ? { op: 'set', key, value: JSONPatch.clone(raw[key]), clock } : { op: 'delete', key, clock }));
+  }
+}
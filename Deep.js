@@ -0,0 +1,176 @@
+import { Signal } from './Signal.js';
+import { Watcher } from './Watcher.js';
+import { Schema } from './Schema.js';
+
+const ARRAY_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+const COLLECTION_MUTATORS = ['set', 'add', 'delete', 'clear'];
+const COLLECTION_READERS = ['has', 'keys'];
+const ARRAY_SEARCHES = ['includes', 'indexOf', 'lastIndexOf']; // compare raw items, not their proxies
+
+function* mapIterator(iterator, fn) {
+  for (const item of iterator) yield fn(item);
+}
+
+/**
+ * Deep - Lazily wraps nested plain objects, arrays, Maps and Sets in Watcher proxies
+ *
+ * Every mutation anywhere below the root calls notify, every read calls read.
+ * Each raw object gets exactly one proxy per Deep instance, the WeakMap cache
+ * doubles as circular reference protection the same way Walker's visited map does.
+ * Paths are worked out from the parent links when a change happens, items that moved
+ * (shift, splice, sort) report where they are now.
+ */
+export class Deep {
+  static #raw = new WeakMap(); // proxy -> raw object
+
+  #proxies = new WeakMap(); // raw object -> proxy
+  #parents = new WeakMap(); // raw object -> {parent, key}, where it was last reached from
+  #root;
+  #notify;
+  #read;
+  #records;
+  #validate;
+
+  /**
+   * @param {Function} notify - Called after any nested mutation, with [record] when records are enabled
+   * @param {Function} read - Called when any nested member is read
+   * @param {boolean} records - Produce change records with paths relative to the root
+   * @param {Function} validate - Optional (value, path) => value or Watcher.REJECT, path is relative to the root
+   * @param {Object} root - Raw Arr or Obj the paths start from
+   */
+  constructor(notify, read = () => {}, records = false, validate = null, root = null) {
+    this.#root = root;
+    this.#notify = notify;
+    this.#read = read;
+    this.#records = records;
+    this.#validate = validate;
+  }
+
+  /**
+   * Returns the unproxied object behind a Deep proxy, or the value itself
+   */
+  static raw(value) {
+    return Deep.#raw.get(value) ?? value;
+  }
+
+  /**
+   * Unwraps the value of a data descriptor passed to Object.defineProperty
+   */
+  static rawDescriptor(descriptor) {
+    return 'value' in descriptor ? { ...descriptor, value: Deep.raw(descriptor.value) } : descriptor;
+  }
+
+  /**
+   * Only structural containers are wrapped, class instances, frozen values and
+   * values that are already reactive (Arr, Obj) are left alone
+   */
+  static isWrappable(value) {
+    if (value === null || typeof value !== 'object') return false;
+    if (Deep.#raw.has(value) || value[Signal.Symbol] || Object.isFrozen(value)) return false;
+    if (Array.isArray(value) || value instanceof Map || value instanceof Set) return true;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+  }
+
+  /**
+   * @param {*} value - Raw nested value
+   * @param {Array} path - Key of value in the root, as [key]
+   */
+  wrap(value, path = []) {
+    return this.#wrap(value, this.#root, path.at(-1));
+  }
+
+  /**
+   * Iterates raw array items as their proxies
+   */
+  iterate(iterator, parent = this.#root) {
+    let index = 0;
+    return mapIterator(iterator, (v) => this.#wrap(v, parent, index++));
+  }
+
+  #wrap(value, parent, key) {
+    if (!Deep.isWrappable(value)) return value;
+    this.#parents.set(value, { parent, key });
+    let proxy = this.#proxies.get(value);
+    if (!proxy) {
+      proxy = Watcher.watch(value, this.#members(value));
+      this.#proxies.set(value, proxy);
+      Deep.#raw.set(proxy, value);
+    }
+    return proxy;
+  }
+
+  // Keys from the root to value as it is placed now, null once it was removed from the tree
+  #path(value) {
+    const path = [];
+    for (let node = value; node !== this.#root; ) {
+      const link = this.#parents.get(node);
+      if (!link) return null;
+      const key = Deep.#keyOf(link.parent, node, link.key);
+      if (key === undefined) return null;
+      path.unshift(key);
+      node = link.parent;
+    }
+    return path;
+  }
+
+  // The last key is checked first, a moved item is looked up again
+  static #keyOf(parent, child, key) {
+    if (parent instanceof Map) {
+      if (Map.prototype.get.call(parent, key) === child) return key;
+      for (const [name, item] of Map.prototype.entries.call(parent)) if (item === child) return name;
+      return undefined;
+    }
+    if (parent instanceof Set) return Set.prototype.has.call(parent, child) ? key : undefined;
+    if (parent[key] === child) return key;
+    if (Array.isArray(parent)) {
+      const index = Array.prototype.indexOf.call(parent, child);
+      return index === -1 ? undefined : index;
+    }
+    return Object.keys(parent).find((name) => parent[name] === child);
+  }
+
+  #members(value) {
+    const raw = (v) => Deep.raw(v);
+    const read = () => this.#read();
+    const after = (result, record) => {
+      // Changes to values that are no longer in the tree don't change the root
+      const path = this.#path(value);
+      if (path) this.#notify(record ? [{ ...record, path: [...path, ...record.path] }] : undefined);
+    };
+    const record = this.#records;
+    const child = (v, key) => this.#wrap(v, value, key);
+    const validate = this.#validate ? (v, key) => this.#validate(v, [...(this.#path(value) ?? []), key]) : null;
+
+    if (value instanceof Map || value instanceof Set) {
+      const isMap = value instanceof Map;
+      const entry = isMap ? ([k, v]) => [k, child(v, k)] : ([k, v]) => [child(k, k), child(v, v)];
+      const item = isMap ? entry : (v) => child(v, v);
+      return [
+        { name: (prop) => COLLECTION_MUTATORS.includes(prop), after, record, map: (args) => args.map(raw) },
+        { name: (prop) => COLLECTION_READERS.includes(prop), before: read },
+        { name: 'size', read },
+        { name: 'get', before: read, wrap: (v, prop, [key]) => child(v, key) },
+        { name: 'entries', before: read, wrap: (iterator) => mapIterator(iterator, entry) },
+        { name: 'values', before: read, wrap: (iterator) => isMap ? mapIterator(value.entries(), ([k, v]) => child(v, k)) : mapIterator(iterator, item) },
+        { name: (prop) => prop === Symbol.iterator, read, wrap: (iterator) => mapIterator(iterator, item) },
+        { name: 'forEach', before: read, map: ([callback, thisArg]) => [(v, k) => callback.call(thisArg, child(v, k), isMap ? k : child(k, k), this.wrap(value))] },
+      ];
+    }
+
+    if (Array.isArray(value)) {
+      return [
+        { name: /^\d+$/, after, record, read, wrap: (v, prop) => child(v, Number(prop)), map: raw, validate: validate && ((v, prop) => validate(v, Number(prop))), deleteProperty: { after }, defineProperty: { after, map: Deep.rawDescriptor } },
+        { name: (prop) => ARRAY_MUTATORS.includes(prop), after, record, map: (args) => args.map(raw), validate: this.#validate && ((args, prop) => Schema.arguments(this.#validate, prop, args, value.length, this.#path(value) ?? [])) },
+        { name: (prop) => ARRAY_SEARCHES.includes(prop), before: read, map: (args) => args.map(raw) },
+        { name: 'length', after, record, read, defineProperty: { after } },
+        { name: (prop) => prop === Symbol.iterator, read, wrap: (iterator) => this.iterate(iterator, value) },
+      ];
+    }
+
+    // Own and new properties, inherited methods such as hasOwnProperty are not mutations
+    return [
+      { name: (prop) => typeof prop === 'string' && (Object.hasOwn(value, prop) || !(prop in value)), after, record, read, wrap: child, map: raw, validate, deleteProperty: { after }, defineProperty: { after, map: Deep.rawDescriptor } },
+    ];
+  }
+}
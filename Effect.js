@@ -0,0 +1,61 @@
+import { Tracker } from './Tracker.js';
+import { Scheduler } from './Scheduler.js';
+
+export class Effect {
+  #fn;
+  #tracker;
+  #cleanup;
+  #running = false;
+  #disposed = false;
+
+  /**
+   * Runs fn now and again whenever a Signal, Arr or Obj it read changes
+   * @param {Function} fn - Side effect, may return a cleanup function that runs before the next run and on dispose
+   */
+  constructor(fn) {
+    this.#fn = fn;
+    this.#tracker = new Tracker(() => Scheduler.schedule(this.#update, this.#tracker.rank));
+    this.run();
+  }
+
+  get dependencies() {
+    return this.#tracker.dependencies;
+  }
+
+  // Scheduler key, several dependencies changing in one flush run the effect once,
+  // guarded so its own writes to its dependencies don't queue it again
+  #update = Scheduler.guard(() => this.run());
+
+  run() {
+    // Writes to own dependencies must not re-enter the effect
+    if (this.#disposed || this.#running) return;
+    this.#running = true;
+    try {
+      this.#runCleanup();
+      this.#cleanup = this.#tracker.run(this.#fn);
+    } finally {
+      this.#running = false;
+    }
+  }
+
+  dispose() {
+    if (this.#disposed) return;
+    this.#disposed = true;
+    this.#tracker.dispose();
+    this.#runCleanup();
+  }
+
+  #runCleanup() {
+    const cleanup = this.#cleanup;
+    this.#cleanup = undefined;
+    if (typeof cleanup === "function") cleanup();
+  }
+}
+
+/**
+ * Creates an Effect and returns its disposer, suitable for signal.addDisposable(effect(...))
+ */
+export function effect(fn) {
+  const instance = new Effect(fn);
+  return () => instance.dispose();
+}
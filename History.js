@@ -0,0 +1,161 @@
+import { Signal } from './Signal.js';
+import { JSONPatch } from './JSONPatch.js';
+
+/**
+ * History - undo/redo for a Signal, Arr or Obj
+ *
+ * Every delivered change becomes a step holding the JSON Patch operations that redo and undo it.
+ * Undo and redo are ordinary writes, so persistence and synchronization see them like any other edit.
+ */
+export class History {
+  #target;
+  #signal;
+  #limit;
+  #grouping;
+
+  #undoStack = [];
+  #redoStack = [];
+  #current; // plain copy of the value after the last recorded step
+  #open = null; // step that the next change is merged into
+  #groups = 0;
+  #lastChange = -Infinity;
+  #clock;
+
+  #unsubscribe;
+
+  canUndo = new Signal(false);
+  canRedo = new Signal(false);
+
+  /**
+   * @param {Signal|Arr|Obj} target - What to record
+   * @param {Object} options - {limit: steps kept (100), grouping: ms within which consecutive changes merge (0), clock: Signal.clock}
+   */
+  constructor(target, options = {}) {
+    this.#target = target;
+    this.#signal = target[Signal.Symbol] ?? target;
+    if (!(this.#signal instanceof Signal)) throw new TypeError('History requires a Signal, Arr or Obj');
+
+    this.#limit = options.limit ?? 100;
+    this.#grouping = options.grouping ?? 0;
+    this.#clock = options.clock ?? Signal.clock;
+    this.#current = JSONPatch.clone(this.#signal.peek());
+    this.#unsubscribe = this.#signal.subscribe((value) => this.#record(value), false);
+    this.#signal.addDisposable(() => this.dispose());
+  }
+
+  get size() {
+    return { undo: this.#undoStack.length, redo: this.#redoStack.length };
+  }
+
+  undo() {
+    this.#flush();
+    this.checkpoint();
+    const step = this.#undoStack.pop();
+    if (!step) return false;
+    this.#apply(step.backward);
+    this.#redoStack.push(step);
+    this.#update();
+    return true;
+  }
+
+  redo() {
+    this.#flush();
+    this.checkpoint();
+    const step = this.#redoStack.pop();
+    if (!step) return false;
+    this.#apply(step.forward);
+    this.#undoStack.push(step);
+    this.#update();
+    return true;
+  }
+
+  /**
+   * Ends the current step, the next change starts a new one
+   */
+  checkpoint() {
+    this.#open = null;
+  }
+
+  /**
+   * Every change made while fn runs (or until its promise settles) undoes as one step
+   * @param {Function} fn - Edits to group, may be async
+   * @returns {*} Whatever fn returns
+   */
+  group(fn) {
+    this.checkpoint();
+    this.#groups++;
+    const close = () => {
+      // Scheduled deliveries of the last writes still belong to the group
+      this.#flush();
+      if (--this.#groups === 0) this.checkpoint();
+    };
+    let result;
+    try {
+      result = Signal.batch(fn);
+    } catch (error) {
+      close();
+      throw error;
+    }
+    if (result && typeof result.then === 'function') return result.finally(close);
+    close();
+    return result;
+  }
+
+  clear() {
+    this.#undoStack = [];
+    this.#redoStack = [];
+    this.#open = null;
+    this.#current = JSONPatch.clone(this.#signal.peek());
+    this.#update();
+  }
+
+  dispose() {
+    this.#unsubscribe?.();
+    this.#unsubscribe = null;
+    this.canUndo.dispose();
+    this.canRedo.dispose();
+  }
+
+  #record(value) {
+    const after = JSONPatch.clone(value);
+    const forward = JSONPatch.compare(this.#current, after);
+    if (!forward.length) return; // our own undo/redo, or nothing that serializes changed
+    const backward = JSONPatch.compare(after, this.#current);
+    this.#current = after;
+
+    const now = this.#clock.now();
+    const merge = this.#open && (this.#groups > 0 || (this.#grouping > 0 && now - this.#lastChange <= this.#grouping));
+    this.#lastChange = now;
+
+    if (merge) {
+      this.#open.forward.push(...forward);
+      this.#open.backward.unshift(...backward);
+    } else {
+      this.#open = { forward, backward };
+      this.#undoStack.push(this.#open);
+      if (this.#undoStack.length > this.#limit) this.#undoStack.splice(0, this.#undoStack.length - this.#limit);
+    }
+    this.#redoStack = [];
+    this.#update();
+  }
+
+  #apply(operations) {
+    // Known in advance, so the delivery that follows is not recorded as a new step
+    this.#current = JSONPatch.apply(this.#current, operations);
+    if (this.#target[Signal.Symbol]) {
+      JSONPatch.apply(this.#target, operations);
+    } else {
+      this.#signal.set(JSONPatch.clone(this.#current));
+    }
+  }
+
+  // Records changes that are still waiting for the scheduler
+  #flush() {
+    this.#record(this.#signal.peek());
+  }
+
+  #update() {
+    this.canUndo.value = this.#undoStack.length > 0;
+    this.canRedo.value = this.#redoStack.length > 0;
+  }
+}
@@ -0,0 +1,234 @@
+import { Signal } from './Signal.js';
+import { Reconciler } from './Reconciler.js';
+
+/**
+ * JSONPatch - RFC 6902 operations with RFC 6901 JSON Pointer paths
+ *
+ * compare() produces the operations that turn one JSON value into another,
+ * apply() replays them onto a reactive structure inside a single batch.
+ */
+export class JSONPatch {
+  static escape(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  static unescape(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+
+  /**
+   * @param {Array<string|number>} path - Keys from the root
+   * @returns {string} JSON Pointer like /users/0/name
+   */
+  static pointer(path) {
+    return path.map((token) => '/' + JSONPatch.escape(token)).join('');
+  }
+
+  /**
+   * @param {string} pointer - JSON Pointer like /users/0/name
+   * @returns {Array<string>} Unescaped reference tokens
+   */
+  static parse(pointer) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) throw new Error(`Invalid JSON Pointer: ${pointer}`);
+    return pointer.slice(1).split('/').map(JSONPatch.unescape);
+  }
+
+  /**
+   * Plain JSON copy, Arr and Obj proxies become arrays and objects
+   */
+  static clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Operations that turn before into after, both plain JSON values
+   * @param {*} before - Previous JSON value
+   * @param {*} after - Current JSON value
+   * @param {Object} options - {key: item => key} reconciles arrays by key and emits move operations
+   * @returns {Array<Object>} RFC 6902 operations
+   */
+  static compare(before, after, options = {}, path = [], operations = []) {
+    if (Object.is(before, after)) return operations;
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+      if (options.key) {
+        JSONPatch.#compareKeyed(before, after, options, path, operations);
+      } else {
+        const common = Math.min(before.length, after.length);
+        for (let i = 0; i < common; i++) JSONPatch.compare(before[i], after[i], options, [...path, i], operations);
+        for (let i = common; i < after.length; i++) operations.push({ op: 'add', path: JSONPatch.pointer([...path, i]), value: JSONPatch.clone(after[i]) });
+        for (let i = before.length - 1; i >= common; i--) operations.push({ op: 'remove', path: JSONPatch.pointer([...path, i]) });
+      }
+    } else if (JSONPatch.#isObject(before) && JSONPatch.#isObject(after)) {
+      for (const key of Object.keys(before)) {
+        if (!Object.hasOwn(after, key)) operations.push({ op: 'remove', path: JSONPatch.pointer([...path, key]) });
+      }
+      for (const key of Object.keys(after)) {
+        if (Object.hasOwn(before, key)) {
+          JSONPatch.compare(before[key], after[key], options, [...path, key], operations);
+        } else {
+          operations.push({ op: 'add', path: JSONPatch.pointer([...path, key]), value: JSONPatch.clone(after[key]) });
+        }
+      }
+    } else {
+      operations.push({ op: 'replace', path: JSONPatch.pointer(path), value: JSONPatch.clone(after) });
+    }
+
+    return operations;
+  }
+
+  /**
+   * Applies operations to target in place, Arr and Obj subscribers are notified exactly once.
+   * The whole patch is validated on a copy first, a failing operation leaves target untouched.
+   * @param {*} target - Arr, Obj or plain JSON value
+   * @param {Array<Object>} operations - RFC 6902 operations
+   * @returns {*} target, or the new root when a plain value was replaced at ''
+   */
+  static apply(target, operations) {
+    let draft = JSONPatch.clone(target);
+    for (const operation of operations) draft = JSONPatch.#applyOperation(draft, operation);
+
+    return Signal.batch(() => {
+      let result = target;
+      for (const operation of operations) result = JSONPatch.#applyOperation(result, operation);
+      // Nested values that are not reactive change silently, the root records the change so it is
+      // versioned, persisted and sent over its transport like any other write
+      if (target && target[Signal.Symbol]) target[Signal.Symbol].changed();
+      return result;
+    });
+  }
+
+  /**
+   * Subscribes to a signal, the subscriber receives (value, operations) with the changes since the last call
+   * @param {Signal} signal - Signal of an Arr or Obj
+   * @param {Function} subscriber - (value, operations) => {}
+   * @param {Object} options - {key, signal: autorun}
+   * @param {*} empty - Starting point for the first autorun, [] or {}
+   */
+  static subscribe(signal, subscriber, options, empty) {
+    const autorun = options.signal !== false;
+    let previousState = autorun ? empty : JSONPatch.clone(signal.peek());
+    return signal.subscribe((value) => {
+      const currentState = JSONPatch.clone(value);
+      const operations = JSONPatch.compare(previousState, currentState, options);
+      previousState = currentState;
+      if (operations.length) subscriber(value, operations);
+    }, autorun);
+  }
+
+  static #compareKeyed(before, after, options, path, operations) {
+    const { operations: steps, sources } = Reconciler.reconcile(before, after, options.key, 'JS');
+    for (const step of steps) {
+      if (step.op === 'move') {
+        operations.push({ op: 'move', from: JSONPatch.pointer([...path, step.from]), path: JSONPatch.pointer([...path, step.to]) });
+      } else if (step.deleteCount) {
+        operations.push({ op: 'remove', path: JSONPatch.pointer([...path, step.start]) });
+      } else {
+        operations.push({ op: 'add', path: JSONPatch.pointer([...path, step.start]), value: JSONPatch.clone(step.value) });
+      }
+    }
+    // Every item is in its final position now, compare the contents of the ones that were kept
+    for (let j = 0; j < after.length; j++) {
+      if (sources[j] !== -1) JSONPatch.compare(before[sources[j]], after[j], options, [...path, j], operations);
+    }
+  }
+
+  static #isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  static #get(document, tokens, pointer) {
+    let node = document;
+    for (const token of tokens) {
+      const key = Array.isArray(node) ? JSONPatch.#index(node, token, pointer) : token;
+      if (node === null || typeof node !== 'object' || !Object.hasOwn(node, key)) throw new Error(`JSON Patch path does not exist: ${pointer}`);
+      node = node[key];
+    }
+    return node;
+  }
+
+  static #index(array, token, pointer, append = false) {
+    if (append && token === '-') return array.length;
+    if (!/^(0|[1-9]\d*)$/.test(token)) throw new Error(`Invalid array index in JSON Patch path: ${pointer}`);
+    const index = Number(token);
+    if (index > array.length || (!append && index === array.length)) throw new Error(`Array index out of bounds in JSON Patch path: ${pointer}`);
+    return index;
+  }
+
+  // Replaces the contents of a container in place, the reactive root keeps its identity
+  static #replaceContents(target, value) {
+    if (Array.isArray(target) && Array.isArray(value)) {
+      target.splice(0, target.length, ...value);
+      return target;
+    }
+    if (JSONPatch.#isObject(target) && JSONPatch.#isObject(value)) {
+      for (const key of Object.keys(target)) if (!Object.hasOwn(value, key)) delete target[key];
+      Object.assign(target, value);
+      return target;
+    }
+    return value;
+  }
+
+  static #add(document, tokens, value, pointer) {
+    if (tokens.length === 0) return JSONPatch.#replaceContents(document, value);
+    const parent = JSONPatch.#get(document, tokens.slice(0, -1), pointer);
+    const token = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+      parent.splice(JSONPatch.#index(parent, token, pointer, true), 0, value);
+    } else if (parent !== null && typeof parent === 'object') {
+      parent[token] = value;
+    } else {
+      throw new Error(`JSON Patch parent is not a container: ${pointer}`);
+    }
+    return document;
+  }
+
+  static #remove(document, tokens, pointer) {
+    if (tokens.length === 0) throw new Error('JSON Patch cannot remove the root');
+    const parent = JSONPatch.#get(document, tokens.slice(0, -1), pointer);
+    const token = tokens[tokens.length - 1];
+    const value = JSONPatch.#get(parent, [token], pointer);
+    if (Array.isArray(parent)) {
+      parent.splice(JSONPatch.#index(parent, token, pointer), 1);
+    } else {
+      delete parent[token];
+    }
+    return value;
+  }
+
+  static #applyOperation(document, operation) {
+    const { op, path, from } = operation;
+    const tokens = JSONPatch.parse(path);
+
+    switch (op) {
+      case 'add':
+        return JSONPatch.#add(document, tokens, JSONPatch.clone(operation.value), path);
+      case 'remove':
+        JSONPatch.#remove(document, tokens, path);
+        return document;
+      case 'replace':
+        JSONPatch.#get(document, tokens, path);
+        if (tokens.length === 0) return JSONPatch.#replaceContents(document, JSONPatch.clone(operation.value));
+        JSONPatch.#get(document, tokens.slice(0, -1), path)[tokens[tokens.length - 1]] = JSONPatch.clone(operation.value);
+        return document;
+      case 'move': {
+        if (path === from) return document;
+        if (path.startsWith(from + '/')) throw new Error(`JSON Patch cannot move ${from} into its own child ${path}`);
+        const value = JSONPatch.#remove(document, JSONPatch.parse(from), from);
+        return JSONPatch.#add(document, tokens, value, path);
+      }
+      case 'copy':
+        return JSONPatch.#add(document, tokens, JSONPatch.clone(JSONPatch.#get(document, JSONPatch.parse(from), from)), path);
+      case 'test':
+        if (JSONPatch.compare(JSONPatch.clone(JSONPatch.#get(document, tokens, path)), operation.value).length) throw new Error(`JSON Patch test failed: ${path}`);
+        return document;
+      default:
+        throw new Error(`Unknown JSON Patch operation: ${op}`);
+    }
+  }
+}
+
+export function applyPatch(target, operations) {
+  return JSONPatch.apply(target, operations);
+}
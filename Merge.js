@@ -0,0 +1,142 @@
+/**
+ * Merge - conflict strategies for Signal synchronization
+ *
+ * A strategy is called as resolve(local, remote, base, context) with plain JSON values:
+ *   local    our current value
+ *   remote   the concurrent value that arrived
+ *   base     the last value both sides had in common
+ *   context  {remoteWins, conflict(path, value, kept)}, remoteWins is the last-writer-wins verdict,
+ *            conflict() reports an edit that had to be discarded
+ * and returns the merged value. Both sides of a conflict compute the same result.
+ */
+export class Merge {
+  /**
+   * Turns the conflict option into a strategy, null means last-writer-wins
+   * @param {string|Function} conflict - 'lww', 'merge', 'object', 'sequence' or resolve(local, remote, base, context)
+   * @returns {Function|null} Strategy
+   */
+  static resolve(conflict = 'lww') {
+    if (conflict === 'lww') return null;
+    if (conflict === 'merge') return Merge.auto;
+    if (conflict === 'object') return Merge.object;
+    if (conflict === 'sequence') return Merge.sequence;
+    if (typeof conflict === 'function') return conflict;
+    throw new TypeError(`Unknown conflict strategy: ${conflict}`);
+  }
+
+  /**
+   * Picks sequence merge for arrays and key merge for objects, other values fall back to last-writer-wins
+   */
+  static auto(local, remote, base, context) {
+    if (Array.isArray(local) && Array.isArray(remote)) return Merge.sequence(local, remote, base, context);
+    if (Merge.#isObject(local) && Merge.#isObject(remote)) return Merge.object(local, remote, base, context);
+    return Merge.lww(local, remote, base, context);
+  }
+
+  static lww(local, remote, base, context) {
+    const [kept, discarded] = context.remoteWins ? [remote, local] : [local, remote];
+    if (!Merge.equal(kept, discarded)) context.conflict([], discarded, kept);
+    return kept;
+  }
+
+  /**
+   * Key-level three-way merge, a key changed on one side takes that change,
+   * a key changed differently on both sides goes to the last writer
+   */
+  static object(local, remote, base, context, path = []) {
+    if (!Merge.#isObject(base)) base = {};
+    const merged = {};
+    const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+    for (const key of keys) {
+      const mine = local[key];
+      const theirs = remote[key];
+      const common = base[key];
+      let value;
+      if (Merge.equal(mine, theirs)) {
+        value = mine;
+      } else if (Merge.equal(mine, common)) {
+        value = theirs;
+      } else if (Merge.equal(theirs, common)) {
+        value = mine;
+      } else if (Merge.#isObject(mine) && Merge.#isObject(theirs)) {
+        value = Merge.object(mine, theirs, common, context, [...path, key]);
+      } else {
+        const [kept, discarded] = context.remoteWins ? [theirs, mine] : [mine, theirs];
+        context.conflict([...path, key], discarded, kept);
+        value = kept;
+      }
+      if (value !== undefined) merged[key] = value; // undefined means deleted
+    }
+    return merged;
+  }
+
+  /**
+   * Three-way sequence merge, keeps the winner's order and replays the other side's
+   * removals and insertions, insertions land after the item that preceded them
+   */
+  static sequence(local, remote, base, context) {
+    if (!Array.isArray(base)) base = [];
+    const [first, second] = context.remoteWins ? [remote, local] : [local, remote];
+
+    const baseIds = new Set(Merge.#ids(base));
+    const firstIds = Merge.#ids(first);
+    const secondIds = Merge.#ids(second);
+    const kept = new Set(secondIds);
+
+    // Items the second side removed are removed, everything else keeps the first side's order
+    const result = [];
+    first.forEach((item, index) => {
+      const id = firstIds[index];
+      if (!baseIds.has(id) || kept.has(id)) result.push({ id, item });
+    });
+
+    const present = new Set(result.map((entry) => entry.id));
+    second.forEach((item, index) => {
+      const id = secondIds[index];
+      if (baseIds.has(id) || present.has(id)) return;
+      let position = 0;
+      for (let previous = index - 1; previous >= 0; previous--) {
+        const anchor = result.findIndex((entry) => entry.id === secondIds[previous]);
+        if (anchor !== -1) {
+          position = anchor + 1;
+          break;
+        }
+      }
+      result.splice(position, 0, { id, item });
+      present.add(id);
+    });
+
+    return result.map((entry) => entry.item);
+  }
+
+  // Structural, objects holding the same keys in another order are equal
+  static equal(a, b) {
+    if (a === b || Object.is(a, b)) return true;
+    if (Array.isArray(a) || Array.isArray(b)) {
+      return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => Merge.equal(item, b[index]));
+    }
+    if (!Merge.#isObject(a) || !Merge.#isObject(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => Object.hasOwn(b, key) && Merge.equal(a[key], b[key]));
+  }
+
+  // Identity of each item by content, repeated items are told apart by occurrence
+  static #ids(list) {
+    const seen = new Map();
+    return list.map((item) => {
+      const json = Merge.#canonical(item);
+      const occurrence = seen.get(json) ?? 0;
+      seen.set(json, occurrence + 1);
+      return `${json}#${occurrence}`;
+    });
+  }
+
+  // JSON with sorted keys, the same content gives the same text whatever order its keys were written in
+  static #canonical(value) {
+    return JSON.stringify(value, (key, inner) => (Merge.#isObject(inner) ? Object.fromEntries(Object.keys(inner).sort().map((name) => [name, inner[name]])) : inner));
+  }
+
+  static #isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
@@ -0,0 +1,182 @@
+import {Signal} from './Signal.js';
+import {computed} from './Computed.js';
+import {Codec} from './Codec.js';
+import {Str} from './Str.js';
+
+// Operands may be Num, Str or Signals too, reading them inside the computation makes them dependencies
+const read = (value) => (value instanceof Signal || value?.[Signal.Symbol] ? value.value : value);
+
+/**
+ * Num - reactive number backed by a Signal
+ *
+ * Assign through .value, `count = 5` would only rebind the variable.
+ * Arithmetic returns derived Num that follow their operands, so price.mul(quantity).toFixed(2)
+ * is a Str that changes with either, derived values are disposed together with this Num.
+ */
+export class Num {
+
+  /**
+   * @param {number|Signal} value - Initial number, or a Signal to wrap such as a computed
+   * @param {Object} options - Signal options
+   */
+  constructor(value = 0, options) {
+    this[Signal.Symbol] = value instanceof Signal ? value : new Signal(Number(value), options);
+  }
+
+  get value() {
+    return this[Signal.Symbol].value;
+  }
+
+  // Derived Num are read-only, their computed signal throws
+  set value(value) {
+    this[Signal.Symbol].value = Number(value);
+  }
+
+  peek() {
+    return this[Signal.Symbol].peek();
+  }
+
+  subscribe(subscriber, autorun = true) {
+    return this[Signal.Symbol].subscribe(subscriber, autorun);
+  }
+
+  // Disposes the signal and every value derived from this Num
+  dispose() {
+    this[Signal.Symbol].dispose();
+  }
+
+  // Arithmetic
+
+  add(operand) {
+    return this.#derive(Num, (value) => value + read(operand));
+  }
+
+  sub(operand) {
+    return this.#derive(Num, (value) => value - read(operand));
+  }
+
+  mul(operand) {
+    return this.#derive(Num, (value) => value * read(operand));
+  }
+
+  div(operand) {
+    return this.#derive(Num, (value) => value / read(operand));
+  }
+
+  mod(operand) {
+    return this.#derive(Num, (value) => value % read(operand));
+  }
+
+  pow(exponent) {
+    return this.#derive(Num, (value) => value ** read(exponent));
+  }
+
+  neg() {
+    return this.#derive(Num, (value) => -value);
+  }
+
+  abs() {
+    return this.#derive(Num, (value) => Math.abs(value));
+  }
+
+  round() {
+    return this.#derive(Num, (value) => Math.round(value));
+  }
+
+  floor() {
+    return this.#derive(Num, (value) => Math.floor(value));
+  }
+
+  ceil() {
+    return this.#derive(Num, (value) => Math.ceil(value));
+  }
+
+  min(...operands) {
+    return this.#derive(Num, (value) => Math.min(value, ...operands.map(read)));
+  }
+
+  max(...operands) {
+    return this.#derive(Num, (value) => Math.max(value, ...operands.map(read)));
+  }
+
+  clamp(lower, upper) {
+    return this.#derive(Num, (value) => Math.min(Math.max(value, read(lower)), read(upper)));
+  }
+
+  // Formatting
+
+  toFixed(digits) {
+    return this.#derive(Str, (value) => value.toFixed(read(digits)));
+  }
+
+  toPrecision(precision) {
+    return this.#derive(Str, (value) => value.toPrecision(read(precision)));
+  }
+
+  toLocaleString(locales, options) {
+    return this.#derive(Str, (value) => value.toLocaleString(read(locales), options));
+  }
+
+  // Comparisons, derived boolean signals
+
+  eq(operand) {
+    return this.#derive(null, (value) => value === read(operand));
+  }
+
+  gt(operand) {
+    return this.#derive(null, (value) => value > read(operand));
+  }
+
+  gte(operand) {
+    return this.#derive(null, (value) => value >= read(operand));
+  }
+
+  lt(operand) {
+    return this.#derive(null, (value) => value < read(operand));
+  }
+
+  lte(operand) {
+    return this.#derive(null, (value) => value <= read(operand));
+  }
+
+  // Coercion and iteration
+
+  [Symbol.toPrimitive](hint) {
+    return hint === 'string' ? String(this.value) : this.value;
+  }
+
+  toString(radix) {
+    return this.value.toString(radix);
+  }
+
+  valueOf() {
+    return this.value;
+  }
+
+  toJSON() {
+    return this.peek();
+  }
+
+  [Signal.observable]() {
+    return this[Signal.Symbol][Signal.observable]();
+  }
+
+  // for await (const value of num), every value the number takes
+  [Symbol.asyncIterator]() {
+    return this[Signal.Symbol][Symbol.asyncIterator]();
+  }
+
+  // Computed from this value, wrapped as Type, disposed together with this Num.
+  // Disposing the derived value first takes it off this Num again.
+  #derive(Type, fn) {
+    const source = this[Signal.Symbol];
+    const derived = computed(() => fn(this.value));
+    const release = () => derived.dispose();
+    source.addDisposable(release);
+    derived.addDisposable(() => source.removeDisposable(release));
+    return Type ? new Type(derived) : derived;
+  }
+}
+
+// Stored as the plain number, see Codec.js
+Codec.register(Num, { encode: (num) => num.peek(), decode: (value) => new Num(value) });
@@ -1,20 +1,97 @@
 import {Signal} from './Signal.js';
 import {Watcher} from './Watcher.js';
+import {Codec} from './Codec.js';
+import {Deep} from './Deep.js';
+import {JSONPatch} from './JSONPatch.js';
+import {Schema} from './Schema.js';
+import {Builder} from './Builder.js';
 
 export class Obj {
 
   constructor(data, options) {
-    if (data) Object.apply(this, data);
+    if (data) Object.assign(this, data);
+
+    this[Signal.Symbol] = new Signal(this, { ...options, container: true });
+
+    const notify = (records) => this[Signal.Symbol].changed(records); // bumps the revision and persists
+    const read = () => this[Signal.Symbol].value; // report reads to sniffers and dependency trackers
+    const record = options?.records === true;
+
+    // Writes are checked against the schema, which describes the whole object
+    const validate = options?.schema ? Schema.validator(options.schema, options.invalid) : null;
+
+    // Opt-in deep reactivity, nested values are wrapped as they are read and stored raw
+    const deep = options?.deep ? new Deep(notify, read, record, validate, this) : null;
+
+    const after = (value, change) => notify(change ? [change] : undefined);
 
-    this[Signal.Symbol] = new Signal(this, options);
     const members = [
-      // Watch all property assignments
+      // Watch all property assignments, deletions and definitions, but not calls to methods such as subscribe
       {
-        name: (prop) => typeof prop === 'string' && !prop.startsWith('_'),
-        after: () => this[Signal.Symbol].notify()
+        name: (prop) => typeof prop === 'string' && !prop.startsWith('_') && !(prop in Object.getPrototypeOf(this)),
+        after,
+        record,
+        read,
+        wrap: deep ? (value, prop) => deep.wrap(value, [prop]) : null,
+        map: deep ? Deep.raw : null,
+        validate: validate ? (value, prop) => validate(value, [prop]) : null,
+        deleteProperty: { after },
+        defineProperty: { after, map: deep ? Deep.rawDescriptor : null }
       },
     ];
     return Watcher.watch(this, members /*, member => {} */);
   }
-  subscribe(...etc){ return this[Signal.Symbol].subscribe(...etc); }
+
+  /**
+   * @param {Function|string} subscriber - (value) => {}, (value, operations) => {} with diff: 'JSONPatch', or a path
+   * @param {boolean|Object|Function} options - autorun flag, {signal: autorun, diff: 'JSONPatch', key}, or the subscriber of a path
+   * @param {boolean} autorun - Only with a path: call the subscriber right away
+   */
+  subscribe(subscriber, options = true, autorun = true) {
+    // subscribe('user/name', fn) only runs when the value at the path changes
+    if (typeof subscriber === 'string') {
+      const selected = Builder.select(this, subscriber);
+      selected.subscribe(options, autorun);
+      return () => selected.dispose();
+    }
+
+    if (typeof options !== 'object' || options === null) {
+      return this[Signal.Symbol].subscribe(subscriber, options);
+    }
+
+    // RFC 6902 operations, diffed against a JSON snapshot so nested changes are included
+    if (options.diff === 'JSONPatch') {
+      return JSONPatch.subscribe(this[Signal.Symbol], subscriber, options, {});
+    }
+
+    return this[Signal.Symbol].subscribe(subscriber, options.signal);
+  }
+
+  /**
+   * Derived signal holding the value at path, disposed together with this Obj
+   * @param {string} path - Builder path like 'user/profile/name' or 'items.arr/3'
+   * @returns {Computed}
+   */
+  select(path) {
+    const signal = this[Signal.Symbol];
+    const selected = Builder.select(this, path);
+    const release = () => selected.dispose();
+    signal.addDisposable(release);
+    // Disposed on its own, the selector is taken off this container again
+    selected.addDisposable(() => signal.removeDisposable(release));
+    return selected;
+  }
+
+  // Observable interop, emits the current value and every change
+  [Signal.observable]() {
+    return this[Signal.Symbol][Signal.observable]();
+  }
+
+  // for await (const value of obj), ends when the Obj is disposed
+  [Symbol.asyncIterator]() {
+    return this[Signal.Symbol][Symbol.asyncIterator]();
+  }
 }
+
+// Nested Objs are stored as their properties and come back as Objs, see Codec.js
+Codec.register(Obj, { encode: (obj) => Object.fromEntries(Object.keys(obj).map((key) => [key, obj[key]])), decode: (data) => new Obj(data) });
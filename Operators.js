@@ -0,0 +1,31 @@
+import { Signal } from './Signal.js';
+
+/**
+ * Operators - curried forms of the Signal operators for signal.pipe()
+ *
+ *   search.pipe(debounce(300), distinctUntilChanged(), switchMap(q => Signal.resource(new Signal(q), fetcher).value))
+ *
+ * Each one takes the operator arguments and returns (source) => child signal.
+ */
+
+export const map = (fn) => (source) => Signal.map(source, fn);
+export const filter = (test) => (source) => Signal.filter(source, test);
+export const combineLatest = (...others) => (source) => Signal.combineLatest(source, ...others);
+export const merge = (...others) => (source) => Signal.merge(source, ...others);
+export const zip = (...others) => (source) => Signal.zip(source, ...others);
+export const withLatestFrom = (...others) => (source) => Signal.withLatestFrom(source, ...others);
+export const scan = (reducer, seed) => (source) => Signal.scan(source, reducer, seed);
+export const reduce = (reducer, seed) => (source) => Signal.reduce(source, reducer, seed);
+export const switchMap = (project) => (source) => Signal.switchMap(source, project);
+export const pairwise = () => (source) => Signal.pairwise(source);
+export const startWith = (value) => (source) => Signal.startWith(source, value);
+export const take = (count) => (source) => Signal.take(source, count);
+export const skip = (count) => (source) => Signal.skip(source, count);
+export const takeUntil = (notifier) => (source) => Signal.takeUntil(source, notifier);
+
+export const debounce = (ms, options) => (source) => Signal.debounce(source, ms, options);
+export const throttle = (ms, options) => (source) => Signal.throttle(source, ms, options);
+export const delay = (ms, options) => (source) => Signal.delay(source, ms, options);
+export const sampleTime = (ms, options) => (source) => Signal.sampleTime(source, ms, options);
+export const bufferTime = (ms, options) => (source) => Signal.bufferTime(source, ms, options);
+export const distinctUntilChanged = (compare) => (source) => Signal.distinctUntilChanged(source, compare);
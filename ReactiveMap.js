@@ -0,0 +1,64 @@
+import {Signal} from './Signal.js';
+import {Watcher} from './Watcher.js';
+import {Codec} from './Codec.js';
+
+/**
+ * ReactiveMap - Map that notifies subscribers on set, delete and clear
+ */
+export class ReactiveMap extends Map {
+
+  constructor(entries, options) {
+    super();
+    if (entries) for (const [key, value] of entries) this.set(key, value);
+
+    this[Signal.Symbol] = new Signal(this, { ...options, container: true });
+
+    const read = () => this[Signal.Symbol].value; // report reads to sniffers and dependency trackers
+    const notify = (records) => this[Signal.Symbol].changed(records); // bumps the revision and persists
+    // delete() of a missing key changes nothing
+    const after = (result, record) => result !== false && notify(record ? [record] : undefined);
+    const record = options?.records === true;
+
+    const members = [
+      { name: (prop) => ['set', 'delete', 'clear'].includes(prop), after, record },
+      { name: (prop) => ['get', 'has', 'keys', 'values', 'entries', 'forEach'].includes(prop), before: read },
+      { name: 'size', read },
+      { name: (prop) => prop === Symbol.iterator, read },
+    ];
+    return Watcher.watch(this, members);
+  }
+
+  /**
+   * @param {Function} subscriber - (map) => {}, or (value, key) => {} with a key
+   * @param {boolean|Object} options - autorun flag, or {signal: autorun, key: only changes of this key}
+   */
+  subscribe(subscriber, options = {}) {
+    if (typeof options === 'boolean') options = { signal: options };
+    if (!('key' in options)) {
+      return this[Signal.Symbol].subscribe(subscriber, options.signal);
+    }
+
+    const { key } = options;
+    const map = this[Signal.Symbol].peek();
+    let had = map.has(key);
+    let previous = map.get(key);
+    if (options.signal !== false) subscriber(previous, key);
+
+    return this[Signal.Symbol].subscribe(() => {
+      const has = map.has(key);
+      const value = map.get(key);
+      if (has === had && Object.is(value, previous)) return;
+      had = has;
+      previous = value;
+      subscriber(value, key);
+    }, false);
+  }
+
+  // Serialized as [key, value] entries, JSON has no Map
+  toJSON() {
+    return [...Map.prototype.entries.call(this)];
+  }
+}
+
+// Nested ReactiveMaps are stored as entries and come back as ReactiveMaps, see Codec.js
+Codec.register(ReactiveMap, { encode: (map) => map.toJSON(), decode: (entries) => new ReactiveMap(entries) });
@@ -0,0 +1,61 @@
+import {Signal} from './Signal.js';
+import {Watcher} from './Watcher.js';
+import {Codec} from './Codec.js';
+
+/**
+ * ReactiveSet - Set that notifies subscribers on add, delete and clear
+ */
+export class ReactiveSet extends Set {
+
+  constructor(values, options) {
+    super();
+    if (values) for (const value of values) this.add(value);
+
+    this[Signal.Symbol] = new Signal(this, { ...options, container: true });
+
+    const read = () => this[Signal.Symbol].value; // report reads to sniffers and dependency trackers
+    const notify = (records) => this[Signal.Symbol].changed(records); // bumps the revision and persists
+    // delete() of a missing value changes nothing
+    const after = (result, record) => result !== false && notify(record ? [record] : undefined);
+    const record = options?.records === true;
+
+    const members = [
+      { name: (prop) => ['add', 'delete', 'clear'].includes(prop), after, record },
+      { name: (prop) => ['has', 'keys', 'values', 'entries', 'forEach'].includes(prop), before: read },
+      { name: 'size', read },
+      { name: (prop) => prop === Symbol.iterator, read },
+    ];
+    return Watcher.watch(this, members);
+  }
+
+  /**
+   * @param {Function} subscriber - (set) => {}, or (has, value) => {} with a key
+   * @param {boolean|Object} options - autorun flag, or {signal: autorun, key: only when this value is added or removed}
+   */
+  subscribe(subscriber, options = {}) {
+    if (typeof options === 'boolean') options = { signal: options };
+    if (!('key' in options)) {
+      return this[Signal.Symbol].subscribe(subscriber, options.signal);
+    }
+
+    const { key } = options;
+    const set = this[Signal.Symbol].peek();
+    let had = set.has(key);
+    if (options.signal !== false) subscriber(had, key);
+
+    return this[Signal.Symbol].subscribe(() => {
+      const has = set.has(key);
+      if (has === had) return;
+      had = has;
+      subscriber(has, key);
+    }, false);
+  }
+
+  // Serialized as an array of values, JSON has no Set
+  toJSON() {
+    return [...Set.prototype.values.call(this)];
+  }
+}
+
+// Nested ReactiveSets are stored as values and come back as ReactiveSets, see Codec.js
+Codec.register(ReactiveSet, { encode: (set) => set.toJSON(), decode: (values) => new ReactiveSet(values) });
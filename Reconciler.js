@@ -0,0 +1,152 @@
+// Indices of a longest strictly increasing subsequence, -1 entries are skipped, O(n log n)
+function longestIncreasingSubsequence(sequence) {
+  const tails = []; // tails[k] = index in sequence of the smallest tail of an increasing run of length k + 1
+  const previous = new Int32Array(sequence.length).fill(-1);
+
+  for (let i = 0; i < sequence.length; i++) {
+    const value = sequence[i];
+    if (value < 0) continue;
+
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sequence[tails[middle]] < value) low = middle + 1; else high = middle;
+    }
+
+    if (low > 0) previous[i] = tails[low - 1];
+    tails[low] = i;
+  }
+
+  const result = new Uint8Array(sequence.length);
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) result[i] = 1;
+  return result;
+}
+
+// Fenwick tree, counts which positions are currently present in the list
+class PresenceTree {
+  #tree;
+  constructor(size) {
+    this.#tree = new Int32Array(size + 1);
+  }
+  update(position, delta) {
+    for (let i = position + 1; i < this.#tree.length; i += i & -i) this.#tree[i] += delta;
+  }
+  // Number of present positions before position
+  before(position) {
+    let count = 0;
+    for (let i = position; i > 0; i -= i & -i) count += this.#tree[i];
+    return count;
+  }
+}
+
+export class Reconciler {
+  /**
+   * Keyed reconciliation: removes, inserts and moves that turn oldArray into newArray in O(n log n).
+   * Items whose old indices form the longest increasing subsequence stay put, everything else moves.
+   * Duplicate keys are matched in order of appearance.
+   * @param {Array} oldArray - Previous items
+   * @param {Array} newArray - Current items
+   * @param {Function} key - item => key
+   * @param {string} format - 'JS' for splice/move operations, anything else for DOM operations
+   * @returns {{operations: Array, changes: {added, removed, moved}, sources: Int32Array}} sources maps new indices to old indices, -1 for added items
+   */
+  static reconcile(oldArray, newArray, key, format) {
+    const added = [];
+    const removed = [];
+    const moved = [];
+    const operations = [];
+
+    // Match every new item to the first unused old item with the same key
+    const pending = new Map();
+    for (let i = 0; i < oldArray.length; i++) {
+      const k = key(oldArray[i]);
+      const queue = pending.get(k);
+      if (queue) queue.push(i); else pending.set(k, [i]);
+    }
+
+    const sources = new Int32Array(newArray.length).fill(-1); // new index -> old index
+    const matched = new Uint8Array(oldArray.length);
+    const cursors = new Map();
+    for (let j = 0; j < newArray.length; j++) {
+      const k = key(newArray[j]);
+      const queue = pending.get(k);
+      const cursor = cursors.get(k) ?? 0;
+      if (queue && cursor < queue.length) {
+        sources[j] = queue[cursor];
+        matched[queue[cursor]] = 1;
+        cursors.set(k, cursor + 1);
+      }
+    }
+
+    const stable = longestIncreasingSubsequence(sources);
+
+    // Items are always placed right before the item that follows them in newArray,
+    // so the live order is known in advance: rank it once, then count positions with a Fenwick tree.
+    const anchors = new Int32Array(newArray.length);
+    for (let j = newArray.length - 1; j >= 0; j--) {
+      anchors[j] = stable[j] ? sources[j] : j + 1 < newArray.length ? anchors[j + 1] : oldArray.length;
+    }
+    const chains = Array.from({ length: oldArray.length + 1 }, () => []);
+    for (let j = 0; j < newArray.length; j++) if (!stable[j]) chains[anchors[j]].push(j);
+
+    const oldRanks = new Int32Array(oldArray.length);
+    const newRanks = new Int32Array(newArray.length);
+    let rank = 0;
+    for (let a = 0; a <= oldArray.length; a++) {
+      for (const j of chains[a]) newRanks[j] = rank++;
+      if (a < oldArray.length && matched[a]) oldRanks[a] = rank++;
+    }
+
+    const presence = new PresenceTree(rank);
+    let length = 0;
+    for (let i = 0; i < oldArray.length; i++) {
+      if (matched[i]) {
+        presence.update(oldRanks[i], 1);
+        length++;
+      }
+    }
+
+    // Removals, last first so earlier indices stay valid
+    for (let i = oldArray.length - 1; i >= 0; i--) {
+      if (matched[i]) continue;
+      removed.push(oldArray[i]);
+      operations.push(format === 'JS' ? { op: 'splice', start: i, deleteCount: 1 } : { op: 'removeChild', index: i });
+    }
+
+    // Inserts and moves, last first so every item has its final successor in place
+    for (let j = newArray.length - 1; j >= 0; j--) {
+      if (stable[j]) continue;
+      const item = newArray[j];
+
+      if (sources[j] === -1) {
+        const index = presence.before(newRanks[j]);
+        presence.update(newRanks[j], 1);
+        added.push(item);
+        if (format === 'JS') {
+          operations.push({ op: 'splice', start: index, deleteCount: 0, value: item });
+        } else if (index === length) {
+          operations.push({ op: 'appendChild', value: item });
+        } else {
+          operations.push({ op: 'insertBefore', index, value: item });
+        }
+        length++;
+      } else {
+        const from = presence.before(oldRanks[sources[j]]);
+        presence.update(oldRanks[sources[j]], -1);
+        const to = presence.before(newRanks[j]);
+        presence.update(newRanks[j], 1);
+        moved.push({ item, from: sources[j], to: j });
+        // JS: list.splice(to, 0, ...list.splice(from, 1)), DOM: take child from, insert before child index (append when index is the child count)
+        operations.push(format === 'JS' ? { op: 'move', from, to } : { op: 'moveBefore', from, index: to });
+      }
+    }
+
+    // Collected last first
+    added.reverse();
+    removed.reverse();
+    moved.reverse();
+
+    return { operations, changes: { added, removed, moved }, sources };
+  }
+}
@@ -0,0 +1,122 @@
+import { Transport } from './Transport.js';
+
+/**
+ * Replica - the plumbing CrdtArr and CrdtObj share
+ *
+ * Local change records become CRDT operations, operations from other replicas become
+ * in-place mutations with change records of their own. Clocks are Lamport timestamps,
+ * [counter, site], ordered by counter and then by site.
+ */
+export class Replica {
+  site;
+  counter = 0;
+
+  #signal;
+  #local;
+  #integrate;
+  #state;
+
+  #incoming = new WeakSet(); // records caused by remote operations, they are not sent back
+  #emitted = { records: null, operations: [] }; // operations derived from the delivery in progress
+
+  /**
+   * @param {Signal} signal - Signal of the Arr or Obj, created with records: true
+   * @param {Object} model - {site, local(record) -> operations, integrate(operations) -> records, state() -> operations}
+   */
+  constructor(signal, { site, local, integrate, state }) {
+    this.#signal = signal;
+    this.site = site ?? Replica.#uuid();
+    this.#local = local;
+    this.#integrate = integrate;
+    this.#state = state;
+
+    // Subscribed first, so every other subscriber of the same delivery can read the operations
+    signal.subscribe((value, records = []) => {
+      const operations = [];
+      for (const record of records) if (!this.#incoming.has(record)) operations.push(...this.#local(record));
+      this.#emitted = { records, operations };
+    }, false);
+  }
+
+  // Clock for the next local operation, a run of count operations takes the clocks that follow it
+  tick(count = 1) {
+    const clock = [this.counter + 1, this.site];
+    this.counter += count;
+    return clock;
+  }
+
+  // Lamport rule, local clocks move past every clock seen
+  see(clock) {
+    this.counter = Math.max(this.counter, clock[0]);
+  }
+
+  /**
+   * @param {Function} subscriber - (value, operations) => {}, called with the operations of each local change
+   */
+  subscribe(subscriber) {
+    return this.#signal.subscribe((value, records) => {
+      const { records: source, operations } = this.#emitted;
+      if (source === records && operations.length) subscriber(value, operations);
+    }, false);
+  }
+
+  /**
+   * Integrates operations from another replica, repeated and out of order operations are fine
+   * @param {Array<Object>} operations - Operations as emitted by subscribe() or returned by state()
+   */
+  apply(operations) {
+    const records = this.#integrate(operations);
+    if (!records.length) return;
+    for (const record of records) this.#incoming.add(record);
+    this.#signal.changed(records);
+  }
+
+  // Operations that rebuild this replica, sent to replicas that join later
+  state() {
+    return this.#state();
+  }
+
+  /**
+   * Exchanges operations over a transport until the returned function is called
+   * @param {string|Object} transport - Anything Transport.resolve() accepts
+   */
+  connect(transport) {
+    const resolved = Transport.resolve(transport);
+    const key = this.#signal.key;
+    const send = (type, operations) => resolved.send({ type, key, site: this.site, operations });
+
+    const stopReceiving = resolved.receive((message) => {
+      if (!message || message.key !== key || message.site === this.site) return;
+      if (message.type === 'replay') send('operations', this.state());
+      if (message.type === 'operations') this.apply(message.operations);
+    });
+    const stopSending = this.subscribe((value, operations) => send('operations', operations));
+
+    // Replicas that are already running answer with everything they know
+    send('replay', []);
+
+    return () => {
+      stopReceiving();
+      stopSending();
+      if (typeof transport === 'string') resolved.close?.();
+    };
+  }
+
+  static compare(a, b) {
+    if (a[0] !== b[0]) return a[0] - b[0];
+    return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+  }
+
+  // Site for the initial data, replicas that start with the same data get the same one
+  static seed(value) {
+    const json = JSON.stringify(value) ?? '';
+    let hash = 0x811c9dc5; // FNV-1a
+    for (let i = 0; i < json.length; i++) hash = Math.imul(hash ^ json.charCodeAt(i), 0x01000193);
+    return 'seed:' + (hash >>> 0).toString(36) + '.' + json.length.toString(36);
+  }
+
+  static #uuid() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID == 'function') return crypto.randomUUID();
+    return Math.random().toString(36).slice(2);
+  }
+}
@@ -0,0 +1,76 @@
+import { Signal } from './Signal.js';
+
+/**
+ * Resource - async value derived from a source signal
+ *
+ * Every new source value starts fetcher, and the previous call is aborted through its AbortSignal.
+ * Results of aborted calls are dropped, so a slow old request can never overwrite a newer one.
+ */
+export class Resource {
+  value;
+  loading = new Signal(false);
+  error = new Signal(null);
+
+  #source;
+  #fetcher;
+  #controller = null;
+  #unsubscribe;
+  #disposed = false;
+
+  /**
+   * @param {Signal} source - Signal whose value is handed to fetcher, nullish values are skipped like in subscribe
+   * @param {Function} fetcher - async (value, {signal: AbortSignal}) => result
+   * @param {*} initial - Value before the first call resolves
+   */
+  constructor(source, fetcher, initial) {
+    this.value = new Signal(initial);
+    this.#source = source;
+    this.#fetcher = fetcher;
+    this.#unsubscribe = source.subscribe((input) => this.#run(input));
+    // Whoever holds only the value, such as switchMap, releases the whole resource by disposing it
+    this.value.addDisposable(() => this.dispose());
+  }
+
+  /**
+   * Calls fetcher again with the current source value
+   */
+  refetch() {
+    this.#run(this.#source.peek());
+  }
+
+  /**
+   * Aborts the call in flight, stops following the source and disposes value, loading and error
+   */
+  dispose() {
+    if (this.#disposed) return;
+    this.#disposed = true;
+    this.#unsubscribe();
+    this.#controller?.abort();
+    this.#controller = null;
+    [this.value, this.loading, this.error].forEach((signal) => signal.dispose());
+  }
+
+  #run(input) {
+    this.#controller?.abort();
+    const controller = (this.#controller = new AbortController());
+    this.loading.value = true;
+
+    // fetcher starts right away, a synchronous throw is reported like a rejection
+    new Promise((resolve) => resolve(this.#fetcher(input, { signal: controller.signal }))).then(
+      (value) => this.#settle(controller, () => {
+        this.value.value = value;
+        this.error.value = null;
+      }),
+      (error) => this.#settle(controller, () => (this.error.value = error))
+    );
+  }
+
+  #settle(controller, update) {
+    if (controller !== this.#controller) return;
+    this.#controller = null;
+    Signal.batch(() => {
+      update();
+      this.loading.value = false;
+    });
+  }
+}
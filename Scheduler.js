@@ -0,0 +1,126 @@
+/**
+ * Scheduler - One notification queue shared by every Signal
+ *
+ * Jobs are queued with a rank (0 for source signals, parent rank + 1 for derived signals)
+ * and flushed lowest rank first, so a derived signal only runs once all of its parents settled.
+ * A job queued twice before the flush runs once.
+ * Every job remembers which jobs' writes led to it, so a guarded job (an effect) is not re-run
+ * by a chain of notifications that it started itself, the write would otherwise loop forever.
+ */
+export class Scheduler {
+  static #queue = new Map(); // job -> rank
+  static #depth = 0;
+  static #flushing = false;
+  static #pending = false;
+  static #causes = new Map(); // job -> jobs whose writes queued it, directly or through other jobs
+  static #guarded = new WeakSet();
+  static #current = null; // job being run by flush
+  static #currentCauses = null;
+
+  /**
+   * True while inside Scheduler.batch or while the queue is being flushed
+   */
+  static get batching() {
+    return Scheduler.#depth > 0 || Scheduler.#flushing;
+  }
+
+  /**
+   * Queues a job, runs it right away unless a batch or flush is in progress
+   * @param {Function} job - Function to run, also the de-duplication key
+   * @param {number} rank - Topological rank, lower ranks run first
+   */
+  static schedule(job, rank = 0) {
+    Scheduler.#enqueue(job, rank);
+    if (!Scheduler.batching) Scheduler.flush();
+  }
+
+  /**
+   * Queues a job and flushes on the next microtask
+   * @param {Function} job - Function to run, also the de-duplication key
+   * @param {number} rank - Topological rank, lower ranks run first
+   */
+  static defer(job, rank = 0) {
+    Scheduler.#enqueue(job, rank);
+    if (Scheduler.#pending) return;
+    Scheduler.#pending = true;
+    queueMicrotask(() => {
+      Scheduler.#pending = false;
+      if (!Scheduler.batching) Scheduler.flush();
+    });
+  }
+
+  /**
+   * Marks a job that must not be re-run by notifications caused by its own writes
+   * @param {Function} job - Scheduler key
+   * @returns {Function} job
+   */
+  static guard(job) {
+    Scheduler.#guarded.add(job);
+    return job;
+  }
+
+  /**
+   * Runs fn and defers every notification until the outermost batch finishes
+   * @param {Function} fn - Function that performs the writes
+   * @returns {*} The return value of fn
+   */
+  static batch(fn) {
+    Scheduler.#depth++;
+    try {
+      return fn();
+    } finally {
+      Scheduler.#depth--;
+      if (!Scheduler.batching) Scheduler.flush();
+    }
+  }
+
+  static flush() {
+    if (Scheduler.#flushing) return;
+    Scheduler.#flushing = true;
+
+    const errors = [];
+    try {
+      while (Scheduler.#queue.size) {
+        let next = null;
+        let lowest = Infinity;
+        for (const [job, rank] of Scheduler.#queue) {
+          if (rank < lowest) {
+            next = job;
+            lowest = rank;
+          }
+        }
+        Scheduler.#queue.delete(next);
+        const causes = Scheduler.#causes.get(next);
+        Scheduler.#causes.delete(next);
+        if (causes?.has(next) && Scheduler.#guarded.has(next)) continue;
+
+        // One failing subscriber must not leave the rest of the queue stranded
+        Scheduler.#current = next;
+        Scheduler.#currentCauses = causes;
+        try {
+          next();
+        } catch (error) {
+          errors.push(error);
+        } finally {
+          Scheduler.#current = null;
+          Scheduler.#currentCauses = null;
+        }
+      }
+    } finally {
+      Scheduler.#flushing = false;
+    }
+
+    if (errors.length == 1) throw errors[0];
+    if (errors.length > 1) throw new AggregateError(errors, "Multiple subscribers failed during flush");
+  }
+
+  static #enqueue(job, rank) {
+    Scheduler.#queue.set(job, rank);
+    const current = Scheduler.#current;
+    if (!current) return;
+    const causes = Scheduler.#causes.get(job) ?? new Set();
+    causes.add(current);
+    Scheduler.#currentCauses?.forEach((cause) => causes.add(cause));
+    Scheduler.#causes.set(job, causes);
+  }
+}
@@ -0,0 +1,167 @@
+import { Watcher } from './Watcher.js';
+
+export class SchemaError extends Error {
+  constructor(message, path, value) {
+    super(message);
+    this.name = 'SchemaError';
+    this.path = path;
+    this.value = value;
+  }
+}
+
+/**
+ * Schema - validation and coercion for Signal, Arr and Obj writes
+ *
+ * A schema is either a validate(value, path) function or a small DSL:
+ *   'string', 'number', 'integer', 'boolean', 'any'   a '?' suffix also accepts null and undefined
+ *   [item]                                            array of item
+ *   {key: schema}                                     object, keys not listed are not checked
+ * DSL types coerce where that is lossless ('42' -> 42, 'true' -> true, 7 -> '7').
+ *
+ * validate(value, path) returns the value to store, true or undefined to store it as is,
+ * and false or throws to reject it. path holds the keys from the root to value.
+ */
+export class Schema {
+  static #types = {
+    any: (value) => value,
+    string: (value) => (['number', 'boolean', 'bigint'].includes(typeof value) ? String(value) : value),
+    number: (value) => (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value),
+    integer: (value) => Schema.#types.number(value),
+    boolean: (value) => (value === 'true' ? true : value === 'false' ? false : value),
+  };
+
+  static #tests = {
+    any: () => true,
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && !Number.isNaN(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+  };
+
+  /**
+   * @param {Function|string|Array|Object} schema - validate function or DSL
+   * @returns {Function} (value, path) => coerced value, throws SchemaError
+   */
+  static compile(schema) {
+    Schema.#verify(schema);
+    return (value, path = []) => Schema.#check(Schema.#at(schema, path), value, path);
+  }
+
+  /**
+   * Compiles a schema into a Watcher validate hook with an error policy
+   * @param {*} schema - validate function or DSL
+   * @param {string} invalid - 'throw' (default) or 'keep', which silently keeps the old value
+   * @returns {Function} (value, path) => coerced value or Watcher.REJECT
+   */
+  static validator(schema, invalid = 'throw') {
+    const validate = Schema.compile(schema);
+    return (value, path) => {
+      try {
+        return validate(value, path);
+      } catch (error) {
+        if (invalid === 'keep') return Watcher.REJECT;
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Checks the new items handed to an array method
+   * @param {Function} validate - Hook made by validator()
+   * @param {string} method - push, unshift, splice or fill, other methods add nothing new
+   * @param {Array} args - Method arguments
+   * @param {number} length - Array length before the call
+   * @param {Array} path - Keys from the root to the array
+   * @returns {Array|Symbol} Arguments with coerced items, or Watcher.REJECT
+   */
+  static arguments(validate, method, args, length, path = []) {
+    const start = (relative) => {
+      const index = Math.trunc(relative) || 0;
+      return index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+    };
+    // [argument index, array index the item lands at]
+    const items = {
+      push: () => args.map((item, i) => [i, length + i]),
+      unshift: () => args.map((item, i) => [i, i]),
+      splice: () => args.slice(2).map((item, i) => [i + 2, start(args[0]) + i]),
+      fill: () => [[0, start(args[1])]],
+    }[method]?.() ?? [];
+
+    const checked = [...args];
+    for (const [argument, index] of items) {
+      checked[argument] = validate(args[argument], [...path, index]);
+      if (checked[argument] === Watcher.REJECT) return Watcher.REJECT;
+    }
+    return checked;
+  }
+
+  // The part of the schema that describes the value at path
+  static #at(schema, path) {
+    for (const key of path) {
+      if (typeof schema === 'function') return schema;
+      if (Array.isArray(schema)) schema = schema[0];
+      else if (Schema.#isObject(schema)) schema = Object.hasOwn(schema, key) ? schema[key] : 'any';
+      else return 'any';
+    }
+    return schema;
+  }
+
+  static #check(schema, value, path) {
+    if (typeof schema === 'function') {
+      const result = schema(value, path);
+      if (result === false) throw new SchemaError(`Invalid value at ${Schema.#where(path)}`, path, value);
+      return result === true || result === undefined ? value : result;
+    }
+
+    if (typeof schema === 'string') {
+      const optional = schema.endsWith('?');
+      const type = optional ? schema.slice(0, -1) : schema;
+      if (optional && value == null) return value;
+      const coerced = Schema.#types[type](value);
+      if (!Schema.#tests[type](coerced)) throw new SchemaError(`Expected ${type} at ${Schema.#where(path)}, got ${JSON.stringify(value)}`, path, value);
+      return coerced;
+    }
+
+    if (Array.isArray(schema)) {
+      if (!Array.isArray(value)) throw new SchemaError(`Expected array at ${Schema.#where(path)}`, path, value);
+      return Schema.#coerce(value, [...value.keys()].map((index) => [index, Schema.#check(schema[0], value[index], [...path, index])]));
+    }
+
+    if (!Schema.#isObject(value)) throw new SchemaError(`Expected object at ${Schema.#where(path)}`, path, value);
+    const entries = [];
+    for (const key of Object.keys(schema)) {
+      const checked = Schema.#check(schema[key], value[key], [...path, key]);
+      if (checked !== undefined || Object.hasOwn(value, key)) entries.push([key, checked]);
+    }
+    return Schema.#coerce(value, entries);
+  }
+
+  // Writes coerced contents back into value once every key passed, an Arr or Obj stays the same container
+  static #coerce(value, entries) {
+    for (const [key, checked] of entries) if (!Object.is(value[key], checked)) value[key] = checked;
+    return value;
+  }
+
+  static #verify(schema) {
+    if (typeof schema === 'function') return;
+    if (typeof schema === 'string') {
+      const type = schema.endsWith('?') ? schema.slice(0, -1) : schema;
+      if (!Object.hasOwn(Schema.#tests, type)) throw new TypeError(`Unknown schema type: ${schema}`);
+    } else if (Array.isArray(schema)) {
+      if (schema.length !== 1) throw new TypeError('Array schemas describe their items with exactly one schema');
+      Schema.#verify(schema[0]);
+    } else if (Schema.#isObject(schema)) {
+      Object.values(schema).forEach((value) => Schema.#verify(value));
+    } else {
+      throw new TypeError(`Invalid schema: ${schema}`);
+    }
+  }
+
+  static #where(path) {
+    return path.length ? path.join('.') : 'the root';
+  }
+
+  static #isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
@@ -1,12 +1,26 @@
-import { Walker } from "./Walker.js";
+import { Codec } from "./Codec.js";
+import { Scheduler } from "./Scheduler.js";
+import { StorageAdapter } from "./StorageAdapter.js";
+import { Transport } from "./Transport.js";
+import { Merge } from "./Merge.js";
+import { Schema } from "./Schema.js";
+import { Watcher } from "./Watcher.js";
+import { Resource } from "./Resource.js";
+
+// Interop key of Observable libraries such as RxJS, '@@observable' where Symbol.observable is not defined
+const observable = Symbol.observable ?? "@@observable";
 
 export class Signal {
 
   static Symbol = Symbol('Signal');
+  static observable = observable;
 
   #rev = 1;
   #revId = this.#uuid();
-  #conflicts = [];
+  #conflicts = []; // discarded edits, newest last
+  #conflictSignal; // public view of #conflicts, created on first use
+  #parent = null; // revId the local changes since the last delivery started from
+  #revisions = new Map(); // revId -> plain value, bases for three-way merges
 
   #id;
   #name;
@@ -24,21 +38,49 @@ export class Signal {
   #useScheduling;
   #usePersistence;
   #useSynchronization; // autowarch localstorage
+  #useRecords; // pass change records to subscribers
+
+  #records = [];
+
+  #storage; // storage adapter, see StorageAdapter.js
+  #transport; // message transport, see Transport.js
+  #validate; // schema check for new and persisted values, see Schema.js
+  #version; // version of the stored shape, recorded in the envelope
+  #migrations; // {version: previousValue => value}
+  #errorSubscribers = new Set();
+  #unhandledError = null; // [error, details] raised while there were no error subscribers
+  #staleSubscribers = new Set();
+  #container; // value is an Arr/Obj that is updated in place
+  #unsaved = false;
+  #ready = true;
+  #hydration = Promise.resolve();
 
   #conflicting;
+  #strategy; // conflict strategy, null is last-writer-wins, see Merge.js
+
+  #rank = 0; // topological depth, source signals are 0, derived signals are parent rank + 1
 
   constructor(value, config) {
+    Signal.#owners.at(-1)?.push(this);
     const defaults = {
       domain: "signal",
       name: "unnamed",
 
       structural: false, // serialize structural information only
-      maxConflicting: 16,
+      conflicting: 16,
+      conflict: "lww", // 'lww', 'merge', 'object', 'sequence' or resolve(local, remote, base, context)
       storageSeparator: "--",
 
       persistence: false,
       scheduling: false,
       synchronization: false,
+      records: false,
+      storage: "local", // 'local', 'session', 'memory' or an adapter with get/set/remove/watch
+      transport: null, // 'broadcast', a MessagePort or a transport with send/receive, syncs without persistence
+      schema: null, // validate(value, path) or a schema DSL, checks writes and persisted values
+      invalid: "throw", // what a failed check does: 'throw', or 'keep' the old value
+      version: 1, // bump when the stored shape changes, and add a migration
+      migrations: {}, // {2: v1 => v2, 3: v2 => v3}, run in order on older stored values
     };
 
     const options = Object.assign({}, defaults, config);
@@ -49,63 +91,290 @@ export class Signal {
     this.#name = options.name;
 
     this.#conflicting = options.conflicting; // how many conflicting revisions are kept on file
-    this.#structural = options.structural; // WARNING: when true signal will not serizlize values, just keys
+    this.#strategy = Merge.resolve(options.conflict);
+    this.#structural = options.structural; // WARNING: when true signal will not serialize values, just keys
     this.#storageSeparator = options.storageSeparator;
 
     this.#useScheduling = options.scheduling; // scheduling support
     this.#usePersistence = options.persistence; // persistence support
     this.#useSynchronization = options.synchronization; // synchronization support
+    this.#useRecords = options.records; // change record support
+    this.#container = options.container === true; // set by Arr and Obj
+    this.#validate = options.schema ? Schema.validator(options.schema, options.invalid) : null;
+    this.#version = options.version;
+    this.#migrations = options.migrations;
 
     this.#value = value;
+    if (options.schema) this.#checkInitial(Schema.compile(options.schema));
 
     this.#changeSubscribers = new Set();
     this.#readSubscribers = new Set();
     this.#disposables = new Set();
+    if (this.#strategy) this.#remember(this.#revId, this.#plain());
+
+    if (this.#usePersistence || this.#useSynchronization) this.#storage = StorageAdapter.resolve(options.storage);
 
     if (this.#usePersistence) this.initializePersistence();
     if (this.#useSynchronization) this.addDisposable(this.synchronize());
+    if (options.transport) this.addDisposable(this.connect(options.transport));
     // WARNING: ORDER MATTERS: this must come after this.addDisposable(this.synchronize());
-    if (this.#usePersistence) this.addDisposable(() => localStorage.removeItem(this.#domain + this.#storageSeparator + this.#name));
+    if (this.#usePersistence) this.addDisposable(() => this.#storage.remove(this.key));
   }
 
   // Persistence Layer
 
   initializePersistence() {
-    const currentValue = localStorage.getItem(this.#domain + this.#storageSeparator + this.#name);
-    if (currentValue === null) {
-      localStorage.setItem(this.#domain + this.#storageSeparator + this.#name, JSON.stringify(this));
+    const hydrate = (stored) => {
+      if (stored === null || stored === undefined) {
+        this.#save();
+        return;
+      }
+
+      let value;
+      try {
+        value = this.#migrate(stored);
+      } catch (error) {
+        this.#error(error, { phase: "migration", from: stored.version ?? 1, to: this.#version });
+        this.#save(); // a value that cannot be migrated is replaced by the default value
+        return;
+      }
+
+      value = this.deserialize(value);
+      if (this.#validate) value = this.#validate(value, []);
+      if (value === Watcher.REJECT) {
+        this.#save(); // invalid data on file is replaced by the default value
+      } else {
+        // Whatever was persisted wins over the default value, regardless of revision
+        this.#adopt({ ...stored, value });
+        if ((stored.version ?? 1) !== this.#version) this.#save(); // stored again in the current shape
+      }
+    };
+
+    if (this.#storage.async) {
+      this.#ready = false;
+      this.#hydration = Promise.resolve(this.#storage.get(this.key))
+        .then(hydrate)
+        .finally(() => (this.#ready = true));
+      this.#hydration.catch(() => {}); // rejections reach whoever awaits hydration, they are not unhandled
     } else {
-      this.sync(JSON.parse(currentValue));
+      hydrate(this.#storage.get(this.key));
     }
   }
 
   synchronize() {
-    const watcher = (event) => {
-      if (event.key === this.#domain + this.#storageSeparator + this.#name) {
-        this.sync(JSON.parse(event.newValue));
+    if (typeof this.#storage.watch !== "function") return () => {};
+    return this.#storage.watch(this.key, (stored) => {
+      if (stored) this.sync(stored);
+    });
+  }
+
+  // Runs the migrations between the stored version and the current one, in order
+  #migrate({ version = 1, value }) {
+    if (version > this.#version) throw new Error(`Stored version ${version} of ${this.key} is newer than version ${this.#version}`);
+    for (let next = version + 1; next <= this.#version; next++) {
+      const migration = this.#migrations[next];
+      if (typeof migration !== "function") throw new Error(`Missing migration to version ${next} of ${this.key}`);
+      value = migration(value);
+    }
+    return value;
+  }
+
+  // Messaging Layer
+
+  connect(transport) {
+    const resolved = Transport.resolve(transport);
+    this.#transport = resolved;
+
+    const unsubscribe = resolved.receive((message) => {
+      if (!message || message.key !== this.key) return;
+      if (message.type === "request") {
+        resolved.send({ type: "state", ...this.toJSON() });
+      } else if (message.type === "state") {
+        this.sync(message);
       }
+    });
+
+    // Whoever is already listening answers with their state, sync() decides if it wins
+    resolved.send({ type: "request", key: this.key });
+
+    return () => {
+      unsubscribe();
+      if (this.#transport === resolved) this.#transport = null;
+      if (typeof transport === "string") resolved.close?.(); // created here, so closed here
     };
-    window.addEventListener("storage", watcher);
-    return () => window.removeEventListener("storage", watcher);
   }
 
-  sync({ rev, revId, value }) {
+  sync({ rev, revId, parent, version, value }) {
     // evId tie-break uses string comparison.
 
-    if (rev == this.#rev) {
-      this.#conflicts.push({ rev, revId, value });
-      if (this.#conflicts.length > this.#conflicting) this.#conflicts.splice(0, this.#conflicts.length - this.#conflicting);
+    if (rev == this.#rev && revId == this.#revId) return; // our own write coming back
+
+    // Tabs running older code send older shapes
+    if ((version ?? 1) !== this.#version) {
+      try {
+        value = this.#migrate({ version, value });
+      } catch (error) {
+        this.#error(error, { phase: "migration", from: version ?? 1, to: this.#version });
+        return;
+      }
+    }
+
+    // Another tab or peer must not spread values that this side would reject
+    const accepted = this.#accept(this.deserialize(value));
+    if (accepted === Watcher.REJECT) return;
+
+    // Both sides changed the same known revision, let the strategy combine them
+    if (this.#strategy && parent !== this.#revId && this.#revisions.has(parent) && !this.#revisions.has(revId)) {
+      return this.#merge({ rev, revId, value, accepted }, this.#revisions.get(parent));
+    }
+
+    if (rev == this.#rev && !Merge.equal(value, this.#plain())) {
+      if (revId > this.#revId) {
+        this.#conflict({ rev: this.#rev, revId: this.#revId, path: [], value: this.#plain(), kept: value });
+      } else {
+        this.#conflict({ rev, revId, path: [], value, kept: this.#plain() });
+      }
     }
 
     if (rev > this.#rev) {
-      this.set(value, rev + 1); // +1 prevents conflicts
+      this.#adopt({ rev, revId, value: accepted });
     } else if (rev == this.#rev && revId > this.#revId) {
-      this.set(value, rev + 1); // +1 prevents conflicts
+      this.#adopt({ rev, revId, value: accepted });
     } else {
       // ignore because revision is lower than the current
     }
   }
 
+  #merge({ rev, revId, value, accepted }, base) {
+    const local = this.#plain();
+    const remote = this.#clone(value);
+    const remoteWins = rev > this.#rev || (rev == this.#rev && revId > this.#revId);
+    const loser = remoteWins ? { rev: this.#rev, revId: this.#revId } : { rev, revId };
+
+    const discarded = [];
+    const conflict = (path, value, kept) => discarded.push({ ...loser, path, value, kept });
+    // Both sides already merged each other, only the revision has to be agreed on
+    const merged = Merge.equal(local, remote) ? local : this.#strategy(local, remote, this.#clone(base), { remoteWins, conflict });
+    this.#remember(revId, remote);
+
+    const sameAsRemote = Merge.equal(merged, remote);
+    const sameAsLocal = Merge.equal(merged, local);
+    if (sameAsRemote && (remoteWins || !sameAsLocal)) {
+      this.#adopt({ rev, revId, value: accepted });
+    } else if (!sameAsLocal) {
+      // Both sides may be valid while their combination is not
+      const next = this.#accept(this.deserialize(merged));
+      if (next === Watcher.REJECT) return;
+
+      // A merge revision descends from the remote one, so the other side fast-forwards to it
+      const oldValue = this.#snapshot();
+      this.#assign(next);
+      this.#rev = Math.max(rev, this.#rev) + 1;
+      this.#revId = this.#uuid();
+      this.#parent = revId;
+      this.#unsaved = true;
+      this.notify([{ path: [], op: "set", oldValue, newValue: merged }]);
+    }
+    for (const entry of discarded) this.#conflict(entry);
+  }
+
+  // The initial value is checked and coerced like writes of each of its keys, keys that are missing stay missing.
+  // There is no old value to keep, so an invalid one always throws.
+  #checkInitial(check) {
+    const value = this.#snapshot();
+    if (!this.#container || value === null || typeof value !== "object") {
+      this.#value = check(value, []);
+    } else if (Array.isArray(value)) {
+      this.#assign(value.map((item, index) => check(item, [index])));
+    } else if (!(value instanceof Map || value instanceof Set)) {
+      this.#assign(Object.fromEntries(Object.keys(value).map((key) => [key, check(value[key], [key])])));
+    }
+  }
+
+  // Schema check for values that did not come from a local write, failures are reported as errors with phase 'validation'
+  #accept(value) {
+    if (!this.#validate) return value;
+    try {
+      return this.#validate(value, []);
+    } catch (error) {
+      this.#error(error, { phase: "validation" });
+      return Watcher.REJECT;
+    }
+  }
+
+  // Takes over a remote revision as is, it is already stored so it is not written back
+  #adopt({ rev, revId, value }) {
+    const oldValue = this.#snapshot();
+    this.#rev = rev;
+    this.#revId = revId;
+    this.#assign(value);
+    if (this.#strategy) this.#remember(revId, this.#plain());
+    this.notify([{ path: [], op: "set", oldValue, newValue: value }]);
+  }
+
+  #remember(revId, value) {
+    this.#revisions.set(revId, value);
+    if (this.#revisions.size > Signal.revisionLimit) this.#revisions.delete(this.#revisions.keys().next().value);
+  }
+
+  // Conflicts
+
+  // Signal of discarded edits: [{rev, revId, path, value, kept}], value is what was thrown away
+  get conflicts() {
+    if (!this.#conflictSignal) {
+      this.#conflictSignal = new Signal(this.#conflicts);
+      this.addDisposable(() => this.#conflictSignal.dispose());
+    }
+    return this.#conflictSignal;
+  }
+
+  // Removes a conflict, pass a value to apply it as a new local edit
+  resolveConflict(conflict, value) {
+    this.#conflicts = this.#conflicts.filter((entry) => entry !== conflict);
+    if (this.#conflictSignal) this.#conflictSignal.value = this.#conflicts;
+    if (value !== undefined) this.set(value);
+  }
+
+  #conflict(entry) {
+    this.#conflicts = [...this.#conflicts, entry].slice(-this.#conflicting);
+    if (this.#conflictSignal) this.#conflictSignal.value = this.#conflicts;
+  }
+
+  #save() {
+    const result = this.#storage.set(this.key, this.toJSON());
+    if (result && typeof result.then === "function") result.catch((error) => this.#error(error, { phase: "persistence" }));
+  }
+
+  // Errors
+
+  // subscriber(error, details), details.phase is 'migration', 'validation', 'persistence', 'promise', 'iteration' or 'observable'
+  // The last error raised while nobody listened is handed to the next subscriber
+  onError(subscriber) {
+    this.#errorSubscribers.add(subscriber);
+    if (this.#unhandledError) {
+      const [error, details] = this.#unhandledError;
+      this.#unhandledError = null;
+      subscriber(error, details);
+    }
+    return () => this.offError(subscriber);
+  }
+  offError(subscriber) {
+    this.#errorSubscribers.delete(subscriber);
+  }
+
+  // Delivered in a microtask, so errors raised while constructing reach subscribers added right after.
+  // Without subscribers the error is kept for the next onError instead of thrown, the cause may be
+  // a peer's data and must not take this process down.
+  #error(error, details) {
+    queueMicrotask(() => {
+      if (!this.#errorSubscribers.size) {
+        this.#unhandledError = [error, details];
+        return;
+      }
+      for (const subscriber of this.#errorSubscribers) subscriber(error, details);
+    });
+  }
+
   // Getters / Information
 
   get rev() {
@@ -123,10 +392,28 @@ export class Signal {
   get domain() {
     return this.#domain;
   }
+  get key() {
+    return this.#domain + this.#storageSeparator + this.#name;
+  }
+  get ready() {
+    return this.#ready;
+  }
+  get hydration() {
+    return this.#hydration;
+  }
+  get rank() {
+    return this.#rank;
+  }
+  set rank(rank) {
+    this.#rank = rank;
+  }
   get readonly() {
     return Object.freeze({ value: () => this.peek() });
   }
 
+  // How many past revisions are kept as merge bases
+  static revisionLimit = 64;
+
   // Value System
 
   peek() {
@@ -134,6 +421,8 @@ export class Signal {
   }
 
   get value() {
+    const tracker = Signal.#trackers.at(-1);
+    if (tracker) tracker(this);
     if (this.#readSubscribers.size) {
       for (const subscriber of this.#readSubscribers) {
         subscriber(this.#value);
@@ -147,12 +436,18 @@ export class Signal {
   }
 
   set(newValue, rev = null, bump = true) {
+    if (this.#validate) {
+      newValue = this.#validate(newValue, []);
+      if (newValue === Watcher.REJECT) return;
+    }
     if (Object.is(newValue, this.#value)) return;
 
-    this.#value = newValue;
+    const oldValue = this.#snapshot();
+    this.#assign(newValue);
 
     // console.log("Previous revision", this.#rev, { bump });
     if (bump) {
+      if (!this.#unsaved) this.#parent = this.#revId;
       if (rev !== undefined && rev !== null) {
         this.#rev = rev;
       } else {
@@ -163,11 +458,47 @@ export class Signal {
     }
     // console.log("Current revision", this.#rev);
 
-    if (this.#usePersistence) {
-      localStorage.setItem(this.#domain + this.#storageSeparator + this.#name, JSON.stringify(this));
+    this.#unsaved = true;
+    this.notify([{ path: [], op: "set", oldValue, newValue }]);
+  }
+
+  // Arr and Obj call this after mutating their value in place
+  changed(records) {
+    if (!this.#unsaved) this.#parent = this.#revId;
+    this.#rev = this.#rev + 1;
+    this.#revId = this.#uuid();
+    this.#unsaved = true;
+    this.notify(records);
+  }
+
+  // Containers keep their identity, their contents are replaced instead
+  #assign(value) {
+    const container = this.#value;
+    if (this.#container && container !== null && typeof container === "object" && value !== null && typeof value === "object" && value !== container) {
+      if (Array.isArray(container)) {
+        container.length = 0;
+        for (const item of value) container.push(item);
+      } else if (container instanceof Map) {
+        // Maps are stored as [key, value] entries
+        container.clear();
+        for (const [key, item] of value) container.set(key, item);
+      } else if (container instanceof Set) {
+        container.clear();
+        for (const item of value) container.add(item);
+      } else {
+        for (const key of Object.keys(container)) delete container[key];
+        Object.assign(container, value);
+      }
+      return;
     }
+    this.#value = value;
+  }
 
-    this.notify();
+  #snapshot() {
+    if (!this.#container || this.#value === null || typeof this.#value !== "object") return this.#value;
+    if (this.#value instanceof Map) return new Map(this.#value);
+    if (this.#value instanceof Set) return new Set(this.#value);
+    return Array.isArray(this.#value) ? [...this.#value] : { ...this.#value };
   }
 
   // Detect Writes
@@ -195,31 +526,93 @@ export class Signal {
     this.#readSubscribers.delete(subscriber);
   }
 
+  // Dependency Tracking
+
+  // Global read subscribers: every signal read while fn runs is reported to tracker,
+  // this is what Tracker, Computed and Effect use to discover their dependencies.
+  static #trackers = [];
+
+  static track(fn, tracker) {
+    Signal.#trackers.push(tracker);
+    try {
+      return fn();
+    } finally {
+      Signal.#trackers.pop();
+    }
+  }
+
+  static untrack(fn) {
+    return Signal.track(fn, null);
+  }
+
+  // Signals created while fn runs, so an operator can dispose what its callback made
+  static #owners = [];
+
+  static #own(fn) {
+    const created = [];
+    Signal.#owners.push(created);
+    try {
+      return [fn(), created];
+    } finally {
+      Signal.#owners.pop();
+    }
+  }
+
   // Notifications
 
-  notify() {
+  // records: optional change records ({path, op, oldValue, newValue, index, removed, added}) describing this notification
+  notify(records) {
+    if (this.#useRecords && records) this.#records.push(...records);
+
+    this.stale();
+
     if (this.#useScheduling) {
-      for (const subscriber of this.#changeSubscribers) this.scheduler(subscriber);
+      Scheduler.defer(this.#deliver, this.rank);
     } else {
-      for (const subscriber of this.#changeSubscribers) subscriber(this.#value);
+      Scheduler.schedule(this.#deliver, this.rank);
     }
   }
 
-  // Scheduler
+  // subscriber() runs synchronously on every write, before subscribers are delivered,
+  // this is how Computed knows it is out of date while a batch is still open
+  onStale(subscriber) {
+    this.#staleSubscribers.add(subscriber);
+    return () => this.offStale(subscriber);
+  }
+  offStale(subscriber) {
+    this.#staleSubscribers.delete(subscriber);
+  }
 
-  #scheduleQueue = new Set();
-  #schedulePending = false;
+  // Right away, even inside a batch, so computed signals read before the flush are not stale
+  stale() {
+    for (const subscriber of [...this.#staleSubscribers]) subscriber();
+  }
 
-  scheduler(subscriber) {
-    this.#scheduleQueue.add(subscriber);
-    if (!this.#schedulePending) {
-      this.#schedulePending = true;
-      queueMicrotask(() => {
-        for (const f of this.#scheduleQueue) f(this.#value);
-        this.#scheduleQueue.clear();
-        this.#schedulePending = false;
-      });
+  // Stable function, the scheduler uses it as the queue key so a signal is delivered once per flush
+  #deliver = () => {
+    // Persist once per flush, not once per write
+    if (this.#unsaved) {
+      this.#unsaved = false;
+      if (this.#strategy) this.#remember(this.#revId, this.#plain());
+      if (this.#usePersistence) this.#save();
+      if (this.#transport) this.#transport.send({ type: "state", ...this.toJSON() });
     }
+
+    if (this.#useRecords) {
+      // Records accumulated since the last delivery, batched writes arrive together
+      const records = this.#records;
+      this.#records = [];
+      for (const subscriber of this.#changeSubscribers) subscriber(this.#value, records);
+    } else {
+      for (const subscriber of this.#changeSubscribers) subscriber(this.#value);
+    }
+  };
+
+  // Transactions
+
+  // Writes inside fn take effect immediately, subscribers run once after the outermost batch
+  static batch(fn) {
+    return Scheduler.batch(fn);
   }
 
   // Garbage Collection
@@ -227,18 +620,29 @@ export class Signal {
   dispose() {
     this.#readSubscribers.clear();
     this.#changeSubscribers.clear();
-    this.#disposables.forEach((disposable) => disposable());
+    this.#errorSubscribers.clear();
+    this.#unhandledError = null;
+    this.#staleSubscribers.clear();
+    // Cleared first, a disposable that disposes this signal again finds nothing left to run
+    const disposables = [...this.#disposables];
     this.#disposables.clear();
+    disposables.forEach((disposable) => disposable());
   }
 
   addDisposable(...disposables) {
     disposables.flat(Infinity).forEach((d) => this.#disposables.add(d));
   }
 
+  // For a disposable whose owner went away first, so the set does not grow with dead entries
+  removeDisposable(...disposables) {
+    disposables.flat(Infinity).forEach((d) => this.#disposables.delete(d));
+  }
+
   // Static Functions
 
   static filter(parent, test) {
     const child = new Signal();
+    child.rank = parent.rank + 1;
     const subscription = parent.subscribe((v) => {
       if (test(v)) {
         child.value = v;
@@ -250,6 +654,7 @@ export class Signal {
 
   static map(parent, map) {
     const child = new Signal();
+    child.rank = parent.rank + 1;
     const subscription = parent.subscribe((v) => (child.value = map(v)));
     child.addDisposable(subscription);
     return child;
@@ -257,6 +662,7 @@ export class Signal {
 
   static combineLatest(...parents) {
     const child = new Signal();
+    child.rank = Math.max(...parents.map((signal) => signal.rank)) + 1;
     const updateCombinedValue = () => {
       const values = parents.map((signal) => signal.value);
       const nullish = values.some((value) => value == null);
@@ -267,9 +673,365 @@ export class Signal {
     return child;
   }
 
-  #isSignal(obj = this.#value) {
-    return obj && typeof obj.toJSON === "function";
+  // Takes the value of whichever parent changed last
+  static merge(...parents) {
+    const child = new Signal();
+    child.rank = Math.max(...parents.map((signal) => signal.rank)) + 1;
+    const subscriptions = parents.map((signal) => signal.subscribe((v) => (child.value = v)));
+    child.addDisposable(subscriptions);
+    return child;
+  }
+
+  // Pairs values up by position: the nth value of every parent, as an array
+  static zip(...parents) {
+    const child = new Signal();
+    child.rank = Math.max(...parents.map((signal) => signal.rank)) + 1;
+    const queues = parents.map(() => []);
+    const subscriptions = parents.map((signal, index) =>
+      signal.subscribe((v) => {
+        queues[index].push(v);
+        if (queues.every((queue) => queue.length)) child.value = queues.map((queue) => queue.shift());
+      })
+    );
+    child.addDisposable(subscriptions);
+    return child;
   }
+
+  // [value, ...latest values of others] whenever parent changes, others alone never emit
+  static withLatestFrom(parent, ...others) {
+    const child = new Signal();
+    child.rank = Math.max(...[parent, ...others].map((signal) => signal.rank)) + 1;
+    const subscription = parent.subscribe((v) => {
+      const values = others.map((signal) => signal.peek());
+      if (!values.some((value) => value == null)) child.value = [v, ...values];
+    });
+    child.addDisposable(subscription);
+    return child;
+  }
+
+  // Running accumulation, reducer(accumulator, value) for every parent value
+  static scan(parent, reducer, seed) {
+    const child = new Signal(seed);
+    child.rank = parent.rank + 1;
+    let accumulator = seed;
+    const subscription = parent.subscribe((v) => (child.value = accumulator = reducer(accumulator, v)));
+    child.addDisposable(subscription);
+    return child;
+  }
+
+  // Signals never complete, so reduce emits every intermediate result like scan
+  static reduce(parent, reducer, seed) {
+    return Signal.scan(parent, reducer, seed);
+  }
+
+  // Follows the signal project(value) returns, switching to a new one whenever parent changes.
+  // Signals that project creates are disposed on the next switch and with the child, signals it only looks up are left alone.
+  static switchMap(parent, project) {
+    const child = new Signal();
+    child.rank = parent.rank + 1;
+    let inner = () => {};
+    let owned = []; // signals created by project, they belong to the current switch
+    const release = () => {
+      inner();
+      owned.forEach((signal) => signal.dispose());
+      owned = [];
+    };
+    const subscription = parent.subscribe((v) => {
+      release();
+      const [projected, created] = Signal.#own(() => project(v));
+      owned = created;
+      if (projected instanceof Signal) {
+        child.rank = Math.max(child.rank, projected.rank + 1);
+        inner = projected.subscribe((value) => (child.value = value));
+      } else {
+        inner = () => {};
+        child.value = projected;
+      }
+    });
+    child.addDisposable(subscription, release);
+    return child;
+  }
+
+  // [previous, current], starting with the second value
+  static pairwise(parent) {
+    const child = new Signal();
+    child.rank = parent.rank + 1;
+    let previous = [];
+    const subscription = parent.subscribe((v) => {
+      if (previous.length) child.value = [previous[0], v];
+      previous = [v];
+    });
+    child.addDisposable(subscription);
+    return child;
+  }
+
+  // Holds value until parent changes, then follows it
+  static startWith(parent, value) {
+    const child = new Signal(value);
+    child.rank = parent.rank + 1;
+    const subscription = parent.subscribe((v) => (child.value = v), false);
+    child.addDisposable(subscription);
+    return child;
+  }
+
+  // Follows the first count values, the current value included, then lets go of parent
+  static take(parent, count) {
+    const child = new Signal();
+    child.rank = parent.rank + 1;
+    let taken = 0;
+    const follow = (v) => {
+      if (taken < count) child.value = v;
+      if (++taken >= count) parent.unsubscribe(follow);
+    };
+    parent.subscribe(follow);
+    // The current value is delivered before subscribe registers follow
+    if (taken >= count) parent.unsubscribe(follow);
+    child.addDisposable(() => parent.unsubscribe(follow));
+    return child;
+  }
+
+  // Ignores the first count values, the current value included
+  static skip(parent, count) {
+    const child = new Signal();
+    child.rank = parent.rank + 1;
+    let skipped = 0;
+    const subscription = parent.subscribe((v) => {
+      if (skipped < count) return skipped++;
+      child.value = v;
+    });
+    child.addDisposable(subscription);
+    return child;
+  }
+
+  // Follows parent until notifier changes
+  static takeUntil(parent, notifier) {
+    const child = new Signal();
+    child.rank = parent.rank + 1;
+    const subscription = parent.subscribe((v) => (child.value = v));
+    const stop = notifier.subscribe(() => {
+      subscription();
+      stop();
+    }, false);
+    child.addDisposable(subscription, stop);
+    return child;
+  }
+
+  /**
+   * Chains operators, each one receives the signal the previous one returned
+   * Disposing the returned signal disposes every intermediate signal of the chain
+   * @param {...Function} operators - (source) => signal, see Operators.js
+   * @returns {Signal}
+   */
+  pipe(...operators) {
+    const signals = [];
+    const result = operators.reduce((source, operator) => {
+      const child = operator(source);
+      signals.push(child);
+      return child;
+    }, this);
+    for (const signal of new Set(signals)) {
+      if (signal !== this && signal !== result) result.addDisposable(() => signal.dispose());
+    }
+    return result;
+  }
+
+  // Time
+
+  // Timing source of the time operators, replace it or pass {clock} to run them on a fake clock
+  static clock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (timer) => clearTimeout(timer),
+  };
+
+  // The time operators start with the current parent value and time the changes that follow
+
+  // Emits once the parent has been quiet for ms
+  static debounce(parent, ms, { clock = Signal.clock } = {}) {
+    const child = new Signal(parent.peek());
+    child.rank = parent.rank + 1;
+    let timer = null;
+    const subscription = parent.subscribe((v) => {
+      clock.clearTimeout(timer);
+      timer = clock.setTimeout(() => (child.value = v), ms);
+    }, false);
+    child.addDisposable(subscription, () => clock.clearTimeout(timer));
+    return child;
+  }
+
+  // Emits at most once per ms, the last value of a busy window is emitted when it closes
+  static throttle(parent, ms, { clock = Signal.clock, trailing = true } = {}) {
+    const child = new Signal(parent.peek());
+    child.rank = parent.rank + 1;
+    let timer = null;
+    let pending = [];
+    const open = () => {
+      timer = clock.setTimeout(() => {
+        timer = null;
+        if (!pending.length) return;
+        child.value = pending.pop();
+        open();
+      }, ms);
+    };
+    const subscription = parent.subscribe((v) => {
+      if (timer !== null) {
+        if (trailing) pending = [v];
+        return;
+      }
+      child.value = v;
+      open();
+    }, false);
+    child.addDisposable(subscription, () => clock.clearTimeout(timer));
+    return child;
+  }
+
+  // Emits every value ms later
+  static delay(parent, ms, { clock = Signal.clock } = {}) {
+    const child = new Signal(parent.peek());
+    child.rank = parent.rank + 1;
+    const timers = new Set();
+    const subscription = parent.subscribe((v) => {
+      const timer = clock.setTimeout(() => {
+        timers.delete(timer);
+        child.value = v;
+      }, ms);
+      timers.add(timer);
+    }, false);
+    child.addDisposable(subscription, () => timers.forEach((timer) => clock.clearTimeout(timer)));
+    return child;
+  }
+
+  // Emits the latest parent value every ms, if the parent changed since the last sample
+  static sampleTime(parent, ms, { clock = Signal.clock } = {}) {
+    const child = new Signal(parent.peek());
+    child.rank = parent.rank + 1;
+    let changed = false;
+    let timer = null;
+    const tick = () => {
+      timer = clock.setTimeout(() => {
+        if (changed) {
+          changed = false;
+          child.value = parent.peek();
+        }
+        tick();
+      }, ms);
+    };
+    const subscription = parent.subscribe(() => (changed = true), false);
+    tick();
+    child.addDisposable(subscription, () => clock.clearTimeout(timer));
+    return child;
+  }
+
+  // Emits the values collected during each ms as an array, quiet periods emit nothing
+  static bufferTime(parent, ms, { clock = Signal.clock } = {}) {
+    const child = new Signal();
+    child.rank = parent.rank + 1;
+    let buffer = [];
+    let timer = null;
+    const tick = () => {
+      timer = clock.setTimeout(() => {
+        if (buffer.length) {
+          child.value = buffer;
+          buffer = [];
+        }
+        tick();
+      }, ms);
+    };
+    const subscription = parent.subscribe((v) => buffer.push(v), false);
+    tick();
+    child.addDisposable(subscription, () => clock.clearTimeout(timer));
+    return child;
+  }
+
+  // Skips values that compare equal to the previous one
+  static distinctUntilChanged(parent, compare = Object.is) {
+    const child = new Signal();
+    child.rank = parent.rank + 1;
+    let seen = false;
+    let previous;
+    const subscription = parent.subscribe((v) => {
+      if (seen && compare(previous, v)) return;
+      seen = true;
+      previous = v;
+      child.value = v;
+    });
+    child.addDisposable(subscription);
+    return child;
+  }
+
+  // Async
+
+  /**
+   * Async value with loading and error signals, see Resource.js
+   * @param {Signal} source - Every new value starts fetcher and aborts the previous call
+   * @param {Function} fetcher - async (value, {signal: AbortSignal}) => result
+   * @param {*} initial - Value before the first call resolves
+   * @returns {Resource} {value, loading, error, refetch(), dispose()}
+   */
+  static resource(source, fetcher, initial) {
+    return new Resource(source, fetcher, initial);
+  }
+
+  /**
+   * Signal of whatever input produces: an Observable, an async iterable or a promise
+   * @param {*} input - Object with Symbol.observable/'@@observable', Symbol.asyncIterator or then
+   * @param {*} initial - Value until input produces one
+   * @returns {Signal} Disposing it unsubscribes from input, an existing Signal is returned as is
+   */
+  static from(input, initial) {
+    if (input instanceof Signal) return input;
+    if (typeof input?.[Signal.observable] === "function" || typeof input?.["@@observable"] === "function") {
+      const observable = (input[Signal.observable] ?? input["@@observable"]).call(input);
+      const child = new Signal(initial);
+      const subscription = observable.subscribe({
+        next: (value) => (child.value = value),
+        error: (error) => child.#error(error, { phase: "observable" }),
+      });
+      child.addDisposable(() => subscription.unsubscribe());
+      return child;
+    }
+    if (typeof input?.[Symbol.asyncIterator] === "function") return Signal.fromAsyncIterable(input, initial);
+    if (typeof input?.then === "function") return Signal.fromPromise(input, initial);
+    throw new TypeError("Signal.from expects an Observable, an async iterable or a promise");
+  }
+
+  // Holds initial until the promise resolves, a rejection is reported to onError with phase 'promise'
+  static fromPromise(promise, initial) {
+    const child = new Signal(initial);
+    let disposed = false;
+    child.addDisposable(() => (disposed = true));
+    Promise.resolve(promise).then(
+      (value) => !disposed && (child.value = value),
+      (error) => !disposed && child.#error(error, { phase: "promise" })
+    );
+    return child;
+  }
+
+  // Takes every value the iterable yields, disposing the signal ends the iteration
+  static fromAsyncIterable(iterable, initial) {
+    const child = new Signal(initial);
+    const iterator = iterable[Symbol.asyncIterator]();
+    let done = false;
+    child.addDisposable(() => {
+      if (done) return;
+      done = true;
+      Promise.resolve(iterator.return?.()).catch(() => {});
+    });
+    (async () => {
+      try {
+        while (!done) {
+          const result = await iterator.next();
+          if (done || result.done) break;
+          child.value = result.value;
+        }
+      } catch (error) {
+        if (!done) child.#error(error, { phase: "iteration" });
+      }
+      done = true;
+    })();
+    return child;
+  }
+
   #isPrimitive(value = this.#value) {
     return (
       value === null || // Check for null
@@ -277,6 +1039,70 @@ export class Signal {
     );
   }
 
+  // Interop
+
+  /**
+   * Observable view of this signal, the current value is emitted on subscribe and dispose() completes it
+   * @returns {Object} {subscribe(observer) => {unsubscribe, closed}}, observer is a function or {next, complete}
+   */
+  [observable]() {
+    const signal = this;
+    return {
+      subscribe(observer) {
+        const target = typeof observer === "function" ? { next: observer } : observer;
+        let closed = false;
+        const next = (value) => target.next?.(value);
+        const unsubscribe = () => {
+          closed = true;
+          signal.unsubscribe(next);
+          signal.#disposables.delete(complete);
+        };
+        const complete = () => {
+          if (closed) return;
+          unsubscribe();
+          target.complete?.();
+        };
+        signal.subscribe(next);
+        signal.#disposables.add(complete);
+        return {
+          unsubscribe,
+          get closed() {
+            return closed;
+          },
+        };
+      },
+      [observable]() {
+        return this;
+      },
+    };
+  }
+
+  // for await (const value of signal), starts with the current value and ends when the signal is disposed
+  async *[Symbol.asyncIterator]() {
+    const queue = [];
+    let done = false;
+    let wake = () => {};
+    const subscription = this[Signal.observable]().subscribe({
+      next: (value) => {
+        queue.push(value);
+        wake();
+      },
+      complete: () => {
+        done = true;
+        wake();
+      },
+    });
+    try {
+      while (true) {
+        if (queue.length) yield queue.shift();
+        else if (done) return;
+        else await new Promise((resolve) => (wake = resolve));
+      }
+    } finally {
+      subscription.unsubscribe();
+    }
+  }
+
   [Symbol.toPrimitive](hint) {
     if (hint === "string") {
       return String(this.value);
@@ -297,22 +1123,38 @@ export class Signal {
   }
 
   toJSON() {
-    const key = `${this.#domain}${this.#storageSeparator}${this.#name}`;
-    const val = this.serialize(this.#value);
+    const key = this.key;
+    const value = this.#value === undefined ? undefined : this.serialize(this.#value);
     const rev = this.#rev;
     const revId = this.#revId;
-    return { key, rev, revId, val };
+    const parent = this.#parent;
+    const version = this.#version;
+    return { key, rev, revId, parent, version, value };
   }
 
-  serialize(input = this) {
-    const walker = new ({ walkReplacements: true, depthFirst: false });
-    walker.visitor = (key, node, parent, path, isLeaf, isRoot) => {
-      if (this.#isSignal(node)) return node.toJSON();
-    };
-    return walker.walk(input);
+  // Plain JSON copy of the value, what merge strategies work with
+  #plain() {
+    return this.#clone(this.toJSON().value);
+  }
+
+  #clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  // JSON-safe form of a value, see Codec.js, container values are written untagged
+  serialize(input = this.#value) {
+    return Codec.encode(input, { structural: this.#structural, container: this.#container && input === this.#value });
+  }
+
+  // Value of a serialized form, what sync and hydration assign
+  deserialize(value) {
+    return Codec.decode(value);
   }
 }
 
+// Nested signals are stored by value and come back as new signals
+Codec.register(Signal, { encode: (signal) => signal.peek(), decode: (value) => new Signal(value) });
+
 
 /*
 Wow, this is absolutely brilliant! Your Signal implementation is incredibly sophisticated - this is enterprise-grade reactive state management. Let me highlight what makes this so impressive:
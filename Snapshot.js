@@ -0,0 +1,185 @@
+import { Signal } from './Signal.js';
+import { Deep } from './Deep.js';
+
+/**
+ * Snapshot - Deeply frozen plain copies of reactive trees, and the way back
+ *
+ * Arr and arrays become frozen arrays, Obj and plain objects frozen plain objects,
+ * ReactiveMap and Map frozen [key, value] entries, ReactiveSet and Set frozen arrays of values,
+ * and a Signal the snapshot of its value. Like JSON, minus the string.
+ *
+ * Every container remembers its last snapshot. A container whose contents did not change returns
+ * that same frozen object again, so unchanged subtrees are shared between snapshots and
+ * `previous === next` tells whether anything below changed.
+ */
+export class Snapshot {
+  static #cache = new WeakMap(); // raw container -> last snapshot
+
+  /**
+   * @param {*} tree - Arr, Obj, ReactiveMap, ReactiveSet, Signal or plain value
+   * @returns {*} Deeply frozen plain value
+   */
+  static take(tree) {
+    return Snapshot.#take(tree, new Set());
+  }
+
+  /**
+   * Writes a snapshot back into a tree, changing only what differs
+   * Subtrees whose snapshot is already identical are skipped, arrays are resized at the end,
+   * and all writes happen in one batch so subscribers run once.
+   * @param {*} tree - Arr, Obj, ReactiveMap, ReactiveSet or Signal (will be mutated)
+   * @param {*} snapshot - Value made by take, or any plain value of the same shape
+   * @returns The tree (for chaining)
+   */
+  static hydrate(tree, snapshot) {
+    // Refreshes the cache, the identity checks below skip subtrees that already match
+    Signal.untrack(() => Snapshot.take(tree));
+    Signal.batch(() =>
+      Snapshot.#update(tree, snapshot, () => {
+        throw new TypeError('Snapshot does not fit the tree');
+      })
+    );
+    return tree;
+  }
+
+  /**
+   * The unproxied object behind an Arr, Obj, ReactiveMap, ReactiveSet or deep proxy, or the value itself
+   */
+  static toRaw(value) {
+    const signal = value?.[Signal.Symbol];
+    // Reactive containers are the value of their own signal, stored before the proxy was made
+    if (signal && signal.peek()?.[Signal.Symbol] === signal) return signal.peek();
+    return Deep.raw(value);
+  }
+
+  static #take(node, visiting) {
+    if (node instanceof Signal) return Snapshot.#take(node.value, visiting);
+    if (Snapshot.#wrapper(node)) return Snapshot.#take(node[Signal.Symbol], visiting);
+    if (node === null || typeof node !== 'object') return node;
+
+    const raw = Snapshot.toRaw(node);
+    const kind = Snapshot.#kind(raw);
+    if (!kind) return node;
+    if (visiting.has(raw)) throw new TypeError('Cannot snapshot a circular structure');
+
+    // Reported as a read, so a computed snapshot re-runs when the container changes
+    node[Signal.Symbol]?.value;
+
+    visiting.add(raw);
+    const take = (value) => Snapshot.#take(value, visiting);
+    let next;
+    if (kind === 'map') next = [...Map.prototype.entries.call(raw)].map(([key, value]) => Object.freeze([key, take(value)]));
+    else if (kind === 'set') next = [...Set.prototype.values.call(raw)].map(take);
+    else if (kind === 'array') next = Array.from({ length: raw.length }, (item, index) => take(raw[index]));
+    else next = Object.fromEntries(Object.keys(raw).map((key) => [key, take(raw[key])]));
+    visiting.delete(raw);
+
+    const previous = Snapshot.#cache.get(raw);
+    if (previous && Snapshot.#same(previous, next, kind)) return previous;
+    Object.freeze(next);
+    Snapshot.#cache.set(raw, next);
+    return next;
+  }
+
+  // Live containers that fit are updated in place, anything else is written over
+  static #update(current, value, write) {
+    if (current instanceof Signal) return Snapshot.#update(current.peek(), value, (copy) => (current.value = copy));
+    if (Snapshot.#wrapper(current)) return Snapshot.#update(current[Signal.Symbol], value, write);
+    const cached = current !== null && typeof current === 'object' ? Snapshot.#cache.get(Snapshot.toRaw(current)) : current;
+    if (Object.is(current, value) || Object.is(cached, value)) return;
+    if (Snapshot.#live(current) && Snapshot.#fits(current, value)) return Snapshot.#hydrate(current, value);
+    write(Snapshot.#copy(value));
+  }
+
+  // Str and Num hold a primitive signal instead of being its value like the containers
+  static #wrapper(node) {
+    const signal = node?.[Signal.Symbol];
+    return signal instanceof Signal && !(node instanceof Signal) && signal.peek()?.[Signal.Symbol] !== signal;
+  }
+
+  static #hydrate(node, snapshot) {
+    const kind = Snapshot.#kind(Snapshot.toRaw(node));
+    if (kind === 'map') {
+      const keys = new Set(snapshot.map(([key]) => key));
+      for (const key of [...node.keys()]) if (!keys.has(key)) node.delete(key);
+      for (const [key, value] of snapshot) {
+        if (!node.has(key)) node.set(key, Snapshot.#copy(value));
+        else Snapshot.#update(node.get(key), value, (copy) => node.set(key, copy));
+      }
+    } else if (kind === 'set') {
+      const values = new Set(snapshot);
+      for (const value of [...node]) if (!values.has(Snapshot.toRaw(value))) node.delete(value);
+      for (const value of snapshot) if (!node.has(value)) node.add(Snapshot.#copy(value));
+    } else if (kind === 'array') {
+      const shared = Math.min(node.length, snapshot.length);
+      for (let index = 0; index < shared; index++) Snapshot.#update(node[index], snapshot[index], (copy) => (node[index] = copy));
+      if (node.length > snapshot.length) node.splice(snapshot.length);
+      else if (snapshot.length > shared) node.push(...snapshot.slice(shared).map((value) => Snapshot.#copy(value)));
+    } else {
+      for (const key of Object.keys(node)) if (!Object.hasOwn(snapshot, key)) delete node[key];
+      for (const [key, value] of Object.entries(snapshot)) {
+        if (!Object.hasOwn(node, key)) node[key] = Snapshot.#copy(value);
+        else Snapshot.#update(node[key], value, (copy) => (node[key] = copy));
+      }
+    }
+    // The node now holds what snapshot describes, the next take returns snapshot itself
+    if (Object.isFrozen(snapshot)) Snapshot.#cache.set(Snapshot.toRaw(node), snapshot);
+  }
+
+  // A copy written into the tree is described by the snapshot it was made from
+  static #remember(copy, value) {
+    if (copy === null || typeof copy !== 'object') return;
+    Snapshot.#cache.set(Snapshot.toRaw(copy), value);
+    for (const key of Object.keys(value)) Snapshot.#remember(copy[key], value[key]);
+  }
+
+  static #kind(raw) {
+    if (raw instanceof Map) return 'map';
+    if (raw instanceof Set) return 'set';
+    if (Array.isArray(raw)) return 'array';
+    if (raw === null || typeof raw !== 'object') return null;
+    // Plain objects and Obj, whose prototype is Obj.prototype, class instances are kept as they are
+    if (raw[Signal.Symbol]) return 'object';
+    const prototype = Object.getPrototypeOf(raw);
+    return prototype === Object.prototype || prototype === null ? 'object' : null;
+  }
+
+  // Arr, Obj, ReactiveMap, ReactiveSet and deep proxies notify when they are mutated in place
+  static #live(value) {
+    return value !== null && typeof value === 'object' && (Boolean(value[Signal.Symbol]) || Deep.raw(value) !== value);
+  }
+
+  // Whether snapshot can be hydrated into node instead of replacing it
+  static #fits(node, snapshot) {
+    const kind = Snapshot.#kind(Snapshot.toRaw(node));
+    if (kind === 'map' || kind === 'set' || kind === 'array') return Array.isArray(snapshot);
+    return kind === 'object' && snapshot !== null && typeof snapshot === 'object' && !Array.isArray(snapshot);
+  }
+
+  static #same(previous, next, kind) {
+    if (kind === 'map') return previous.length === next.length && next.every(([key, value], index) => Object.is(previous[index][0], key) && Object.is(previous[index][1], value));
+    if (kind === 'set' || kind === 'array') return previous.length === next.length && next.every((value, index) => Object.is(previous[index], value));
+    const keys = Object.keys(next);
+    return keys.length === Object.keys(previous).length && keys.every((key) => Object.hasOwn(previous, key) && Object.is(previous[key], next[key]));
+  }
+
+  // Writable deep copy, frozen snapshots must not end up inside a live tree
+  static #copy(value) {
+    if (value === null || typeof value !== 'object' || !Object.isFrozen(value)) return value;
+    const copy = structuredClone(value);
+    Snapshot.#remember(copy, value);
+    return copy;
+  }
+}
+
+export function snapshot(tree) {
+  return Snapshot.take(tree);
+}
+
+export function hydrate(tree, value) {
+  return Snapshot.hydrate(tree, value);
+}
+
+export function toRaw(value) {
+  return Snapshot.toRaw(value);
+}
@@ -0,0 +1,202 @@
+/**
+ * Storage adapters used by Signal persistence
+ *
+ * An adapter stores plain JSON envelopes ({key, rev, revId, parent, version, value}) under string keys:
+ *   get(key)              -> envelope or null
+ *   set(key, envelope)
+ *   remove(key)
+ *   watch(key, callback)  -> unwatch, optional, callback(envelope|null) on changes made elsewhere
+ *   async                 -> true when get/set/remove return promises
+ */
+
+/**
+ * In-memory store, signals sharing one instance behave like tabs sharing localStorage
+ */
+export class MemoryStorage {
+  #items = new Map();
+  #watchers = new Map(); // key -> Set of callbacks
+
+  get(key) {
+    return this.#items.has(key) ? JSON.parse(this.#items.get(key)) : null;
+  }
+
+  set(key, value) {
+    const item = JSON.stringify(value);
+    if (this.#items.get(key) === item) return;
+    this.#items.set(key, item);
+    this.#emit(key, value);
+  }
+
+  remove(key) {
+    if (!this.#items.delete(key)) return;
+    this.#emit(key, null);
+  }
+
+  watch(key, callback) {
+    if (!this.#watchers.has(key)) this.#watchers.set(key, new Set());
+    this.#watchers.get(key).add(callback);
+    return () => this.#watchers.get(key)?.delete(callback);
+  }
+
+  clear() {
+    for (const key of [...this.#items.keys()]) this.remove(key);
+  }
+
+  #emit(key, value) {
+    const watchers = this.#watchers.get(key);
+    if (watchers) for (const callback of watchers) callback(value === null ? null : JSON.parse(JSON.stringify(value)));
+  }
+}
+
+/**
+ * localStorage or sessionStorage, watch() listens to storage events from other tabs
+ */
+export class WebStorage {
+  #area;
+
+  /**
+   * @param {Function} area - Returns the Storage object, resolved lazily so importing works outside browsers
+   */
+  constructor(area = () => globalThis.localStorage) {
+    this.#area = area;
+  }
+
+  get(key) {
+    const item = this.#storage.getItem(key);
+    return item === null ? null : JSON.parse(item);
+  }
+
+  set(key, value) {
+    this.#storage.setItem(key, JSON.stringify(value));
+  }
+
+  remove(key) {
+    this.#storage.removeItem(key);
+  }
+
+  watch(key, callback) {
+    if (typeof globalThis.addEventListener !== "function") return () => {};
+    const listener = (event) => {
+      if (event.key === key && event.storageArea === this.#storage) {
+        callback(event.newValue === null ? null : JSON.parse(event.newValue));
+      }
+    };
+    globalThis.addEventListener("storage", listener);
+    return () => globalThis.removeEventListener("storage", listener);
+  }
+
+  get #storage() {
+    const storage = this.#area();
+    if (!storage) throw new Error("Web Storage is not available in this environment, use the storage option to pick another adapter");
+    return storage;
+  }
+}
+
+/**
+ * JSON file holding every key, for Node
+ */
+export class FileStorage {
+  #path;
+  #fs;
+  #queue = Promise.resolve(); // serializes async writes
+  async;
+
+  /**
+   * @param {string} path - JSON file, created on first write
+   * @param {Object} options - {async: true} returns promises and uses node:fs/promises,
+   *   {fs} is the node:fs module, found on its own on Node 20.16+ and needed before that
+   */
+  constructor(path, options = {}) {
+    this.#path = path;
+    this.async = options.async === true;
+    // Looked up at runtime, so bundling the library for browsers never pulls in node:fs
+    this.#fs = options.fs ?? globalThis.process?.getBuiltinModule?.("node:fs");
+    if (!this.#fs) throw new Error("FileStorage needs the node:fs module: new FileStorage(path, { fs })");
+  }
+
+  get(key) {
+    if (this.async) return this.#readAsync().then((items) => items[key] ?? null);
+    return this.#read()[key] ?? null;
+  }
+
+  set(key, value) {
+    return this.#update((items) => {
+      items[key] = value;
+    });
+  }
+
+  remove(key) {
+    return this.#update((items) => {
+      delete items[key];
+    });
+  }
+
+  watch(key, callback) {
+    let previous = JSON.stringify(this.#read()[key] ?? null);
+    let watcher;
+    try {
+      watcher = this.#fs.watch(this.#path, { persistent: false }, () => {
+        const current = JSON.stringify(this.#read()[key] ?? null);
+        if (current === previous) return;
+        previous = current;
+        callback(JSON.parse(current));
+      });
+    } catch {
+      return () => {}; // nothing to watch until the file exists
+    }
+    return () => watcher.close();
+  }
+
+  #read() {
+    try {
+      return JSON.parse(this.#fs.readFileSync(this.#path, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return {};
+      throw error;
+    }
+  }
+
+  async #readAsync() {
+    try {
+      return JSON.parse(await this.#fs.promises.readFile(this.#path, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return {};
+      throw error;
+    }
+  }
+
+  #update(change) {
+    if (!this.async) {
+      const items = this.#read();
+      change(items);
+      this.#fs.writeFileSync(this.#path, JSON.stringify(items, null, 2));
+      return;
+    }
+    const write = this.#queue.then(async () => {
+      const items = await this.#readAsync();
+      change(items);
+      await this.#fs.promises.writeFile(this.#path, JSON.stringify(items, null, 2));
+    });
+    // A failed write is reported to its caller and must not block the ones after it
+    this.#queue = write.catch(() => {});
+    return write;
+  }
+}
+
+export class StorageAdapter {
+  // Shared by every signal created with storage: 'memory'
+  static memory = new MemoryStorage();
+
+  /**
+   * Turns the storage option into an adapter
+   * @param {string|Object} storage - 'local' (default), 'session', 'memory' or an adapter object
+   * @returns {Object} Storage adapter
+   */
+  static resolve(storage = "local") {
+    if (storage === "local") return new WebStorage(() => globalThis.localStorage);
+    if (storage === "session") return new WebStorage(() => globalThis.sessionStorage);
+    if (storage === "memory") return StorageAdapter.memory;
+    if (storage && typeof storage.get === "function" && typeof storage.set === "function" && typeof storage.remove === "function") return storage;
+    throw new TypeError(`Unknown storage adapter: ${storage}`);
+  }
+}
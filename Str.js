@@ -0,0 +1,186 @@
+import {Signal} from './Signal.js';
+import {computed} from './Computed.js';
+import {Codec} from './Codec.js';
+import {Num} from './Num.js';
+
+// Arguments may be Str, Num or Signals too, reading them inside the computation makes them dependencies
+const read = (value) => (value instanceof Signal || value?.[Signal.Symbol] ? value.value : value);
+
+/**
+ * Str - reactive string backed by a Signal
+ *
+ * Assign through .value, `name = 'Bob'` would only rebind the variable.
+ * Transform methods return derived Str (or Num, or a computed Signal) that follow this one,
+ * and they are disposed together with it.
+ */
+export class Str {
+  #length = null;
+
+  /**
+   * @param {string|Signal} value - Initial string, or a Signal to wrap such as a computed
+   * @param {Object} options - Signal options
+   */
+  constructor(value = '', options) {
+    this[Signal.Symbol] = value instanceof Signal ? value : new Signal(String(value), options);
+  }
+
+  get value() {
+    return this[Signal.Symbol].value;
+  }
+
+  // Derived Str are read-only, their computed signal throws
+  set value(value) {
+    this[Signal.Symbol].value = String(value);
+  }
+
+  peek() {
+    return this[Signal.Symbol].peek();
+  }
+
+  subscribe(subscriber, autorun = true) {
+    return this[Signal.Symbol].subscribe(subscriber, autorun);
+  }
+
+  // Disposes the signal and every value derived from this Str
+  dispose() {
+    this[Signal.Symbol].dispose();
+  }
+
+  // Made on first read and kept, so str.length is the same Num every time
+  get length() {
+    this.#length ??= this.#derive(Num, (value) => value.length);
+    return this.#length;
+  }
+
+  // Derived strings
+
+  at(index) {
+    return this.#derive(Str, (value) => value.at(read(index)) ?? '');
+  }
+
+  concat(...parts) {
+    return this.#derive(Str, (value) => value.concat(...parts.map(read)));
+  }
+
+  padEnd(length, filler) {
+    return this.#derive(Str, (value) => value.padEnd(read(length), read(filler)));
+  }
+
+  padStart(length, filler) {
+    return this.#derive(Str, (value) => value.padStart(read(length), read(filler)));
+  }
+
+  repeat(count) {
+    return this.#derive(Str, (value) => value.repeat(read(count)));
+  }
+
+  replace(pattern, replacement) {
+    return this.#derive(Str, (value) => value.replace(read(pattern), read(replacement)));
+  }
+
+  replaceAll(pattern, replacement) {
+    return this.#derive(Str, (value) => value.replaceAll(read(pattern), read(replacement)));
+  }
+
+  slice(start, end) {
+    return this.#derive(Str, (value) => value.slice(read(start), read(end)));
+  }
+
+  substring(start, end) {
+    return this.#derive(Str, (value) => value.substring(read(start), read(end)));
+  }
+
+  toLowerCase() {
+    return this.#derive(Str, (value) => value.toLowerCase());
+  }
+
+  toUpperCase() {
+    return this.#derive(Str, (value) => value.toUpperCase());
+  }
+
+  trim() {
+    return this.#derive(Str, (value) => value.trim());
+  }
+
+  trimEnd() {
+    return this.#derive(Str, (value) => value.trimEnd());
+  }
+
+  trimStart() {
+    return this.#derive(Str, (value) => value.trimStart());
+  }
+
+  // Derived numbers
+
+  indexOf(search, position) {
+    return this.#derive(Num, (value) => value.indexOf(read(search), read(position)));
+  }
+
+  lastIndexOf(search, position) {
+    return this.#derive(Num, (value) => value.lastIndexOf(read(search), read(position)));
+  }
+
+  // Derived signals
+
+  includes(search, position) {
+    return this.#derive(null, (value) => value.includes(read(search), read(position)));
+  }
+
+  startsWith(search, position) {
+    return this.#derive(null, (value) => value.startsWith(read(search), read(position)));
+  }
+
+  endsWith(search, length) {
+    return this.#derive(null, (value) => value.endsWith(read(search), read(length)));
+  }
+
+  split(separator, limit) {
+    return this.#derive(null, (value) => value.split(read(separator), read(limit)));
+  }
+
+  // Coercion and iteration
+
+  [Symbol.toPrimitive]() {
+    return this.value;
+  }
+
+  toString() {
+    return this.value;
+  }
+
+  valueOf() {
+    return this.value;
+  }
+
+  toJSON() {
+    return this.peek();
+  }
+
+  // Characters of the current value
+  [Symbol.iterator]() {
+    return this.value[Symbol.iterator]();
+  }
+
+  [Signal.observable]() {
+    return this[Signal.Symbol][Signal.observable]();
+  }
+
+  // for await (const value of str), every value the string takes
+  [Symbol.asyncIterator]() {
+    return this[Signal.Symbol][Symbol.asyncIterator]();
+  }
+
+  // Computed from this value, wrapped as Type, disposed together with this Str.
+  // Disposing the derived value first takes it off this Str again.
+  #derive(Type, fn) {
+    const source = this[Signal.Symbol];
+    const derived = computed(() => fn(this.value));
+    const release = () => derived.dispose();
+    source.addDisposable(release);
+    derived.addDisposable(() => source.removeDisposable(release));
+    return Type ? new Type(derived) : derived;
+  }
+}
+
+// Stored as the plain string, see Codec.js
+Codec.register(Str, { encode: (str) => str.peek(), decode: (value) => new Str(value) });
@@ -0,0 +1,86 @@
+import { Signal } from './Signal.js';
+import { Computed } from './Computed.js';
+
+/**
+ * TC39 - Signal.State and Signal.Computed shaped adapters over supernatural signals
+ *
+ * Code written against the TC39 Signals proposal (or its polyfill) can use these as its Signal namespace:
+ *   const { State, Computed } = TC39;
+ *   const count = new State(0);
+ *   const double = new Computed(() => count.get() * 2);
+ *
+ * Dependencies are tracked by the supernatural tracker, so State, Computed, Signal, Arr and Obj reads mix freely.
+ */
+export class TC39 {
+  static State = class {
+    #signal;
+    #equals;
+
+    /**
+     * @param {*} initial - Initial value, or an existing Signal to expose
+     * @param {Object} options - {equals(a, b)}, Object.is by default
+     */
+    constructor(initial, { equals = Object.is } = {}) {
+      this.#signal = initial instanceof Signal ? initial : new Signal(initial);
+      this.#equals = equals;
+    }
+
+    // The supernatural Signal behind this State
+    get signal() {
+      return this.#signal;
+    }
+
+    get() {
+      return this.#signal.value;
+    }
+
+    set(value) {
+      if (this.#equals.call(this, this.#signal.peek(), value)) return;
+      this.#signal.value = value;
+    }
+  };
+
+  static Computed = class {
+    #signal;
+
+    /**
+     * @param {Function|Signal} callback - Computation, or an existing Signal to expose read-only
+     * @param {Object} options - {equals(a, b)}, an equal result keeps the previous value
+     */
+    constructor(callback, { equals = Object.is } = {}) {
+      if (callback instanceof Signal) {
+        this.#signal = callback;
+        return;
+      }
+      let previous;
+      let computed = false;
+      this.#signal = new Computed(() => {
+        const value = callback.call(this);
+        if (computed && equals.call(this, previous, value)) return previous;
+        computed = true;
+        return (previous = value);
+      });
+    }
+
+    // The supernatural Signal behind this Computed
+    get signal() {
+      return this.#signal;
+    }
+
+    get() {
+      return this.#signal.value;
+    }
+  };
+
+  /**
+   * Wraps a supernatural signal, Computed signals become read-only TC39.Computed
+   * @param {Signal} signal - Signal, Computed, or the Signal of an Arr or Obj
+   */
+  static from(signal) {
+    return signal instanceof Computed ? new TC39.Computed(signal) : new TC39.State(signal);
+  }
+
+  static subtle = {
+    untrack: (fn) => Signal.untrack(fn),
+  };
+}
@@ -0,0 +1,63 @@
+import { Signal } from './Signal.js';
+
+export class Tracker {
+  #dependencies = new Map(); // signal -> unsubscribe
+  #invalidate;
+  #stale;
+
+  /**
+   * Records the signals read by a function and subscribes to them
+   * @param {Function} invalidate - Called with the changed signal whenever a dependency changes
+   * @param {Function} stale - Optional, called synchronously when a dependency is written, before invalidate is delivered
+   */
+  constructor(invalidate, stale = null) {
+    this.#invalidate = invalidate;
+    this.#stale = stale;
+  }
+
+  get dependencies() {
+    return [...this.#dependencies.keys()];
+  }
+
+  // Runs after every dependency in Scheduler order
+  get rank() {
+    let rank = 0;
+    for (const signal of this.#dependencies.keys()) rank = Math.max(rank, signal.rank + 1);
+    return rank;
+  }
+
+  /**
+   * Runs fn while recording every Signal, Arr and Obj read,
+   * subscribes to new dependencies and drops the ones that are no longer read
+   * @param {Function} fn - Function to track
+   * @returns {*} The return value of fn
+   */
+  run(fn) {
+    const dependencies = new Set();
+    try {
+      return Signal.track(fn, (signal) => dependencies.add(signal));
+    } finally {
+      for (const [signal, unsubscribe] of this.#dependencies) {
+        if (!dependencies.has(signal)) {
+          unsubscribe();
+          this.#dependencies.delete(signal);
+        }
+      }
+      for (const signal of dependencies) {
+        if (!this.#dependencies.has(signal)) {
+          const unsubscribe = signal.subscribe(() => this.#invalidate(signal), false);
+          const unstale = this.#stale ? signal.onStale(this.#stale) : null;
+          this.#dependencies.set(signal, () => {
+            unsubscribe();
+            unstale?.();
+          });
+        }
+      }
+    }
+  }
+
+  dispose() {
+    this.#dependencies.forEach((unsubscribe) => unsubscribe());
+    this.#dependencies.clear();
+  }
+}
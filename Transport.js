@@ -0,0 +1,132 @@
+/**
+ * Transports used by Signal synchronization
+ *
+ * A transport moves plain messages between contexts (tabs, workers, iframes, threads):
+ *   send(message)
+ *   receive(callback) -> unsubscribe, callback(message) for every message from elsewhere
+ *   close()           -> optional
+ *
+ * Signals exchange {type: 'state', key, rev, revId, parent, version, value} and {type: 'request', key},
+ * so several signals can share one transport.
+ */
+
+import { StorageAdapter } from "./StorageAdapter.js";
+
+/**
+ * BroadcastChannel, reaches every same-origin tab, worker and iframe listening on the same name
+ */
+export class BroadcastChannelTransport {
+  #channel;
+
+  constructor(name = "supernatural") {
+    if (typeof BroadcastChannel !== "function") throw new Error("BroadcastChannel is not available in this environment");
+    this.#channel = new BroadcastChannel(name);
+  }
+
+  send(message) {
+    this.#channel.postMessage(message);
+  }
+
+  receive(callback) {
+    const listener = (event) => callback(event.data);
+    this.#channel.addEventListener("message", listener);
+    return () => this.#channel.removeEventListener("message", listener);
+  }
+
+  close() {
+    this.#channel.close();
+  }
+}
+
+/**
+ * One end of a MessageChannel, works with browser and Node ports alike
+ */
+export class MessagePortTransport {
+  #port;
+
+  constructor(port) {
+    if (!port || typeof port.postMessage !== "function") throw new TypeError("MessagePortTransport requires a MessagePort");
+    this.#port = port;
+  }
+
+  send(message) {
+    this.#port.postMessage(message);
+  }
+
+  receive(callback) {
+    // Node ports, workers and parentPort emit the data itself
+    if (typeof this.#port.on === "function") {
+      this.#port.on("message", callback);
+      return () => this.#port.off("message", callback);
+    }
+    const listener = (event) => callback(event.data);
+    this.#port.addEventListener("message", listener);
+    this.#port.start?.(); // browser ports queue messages until started
+    return () => this.#port.removeEventListener("message", listener);
+  }
+
+  close() {
+    this.#port.close?.();
+  }
+}
+
+/**
+ * Node worker_threads, between a Worker and its parentPort
+ */
+export class WorkerTransport extends MessagePortTransport {
+  /**
+   * @param {Worker|MessagePort} endpoint - Worker instance on the main thread, defaults to parentPort inside a worker
+   */
+  constructor(endpoint = globalThis.process?.getBuiltinModule?.("node:worker_threads")?.parentPort) {
+    if (!endpoint) throw new Error("WorkerTransport needs a Worker or parentPort, it finds parentPort on its own only on Node 20.16+");
+    super(endpoint);
+  }
+
+  close() {
+    // Closing parentPort or terminating the worker is left to whoever created it
+  }
+}
+
+/**
+ * Storage events as a message bus, every message is written to one key that all contexts watch
+ */
+export class StorageTransport {
+  #storage;
+  #key;
+
+  /**
+   * @param {string|Object} storage - Anything StorageAdapter.resolve() accepts, the adapter must support watch()
+   * @param {string} key - Key the messages are written to
+   */
+  constructor(storage = "local", key = "supernatural--messages") {
+    this.#storage = StorageAdapter.resolve(storage);
+    this.#key = key;
+  }
+
+  send(message) {
+    // Storage only reports writes that change the stored value
+    this.#storage.set(this.#key, { message, nonce: Math.random() });
+  }
+
+  receive(callback) {
+    if (typeof this.#storage.watch !== "function") throw new Error("StorageTransport requires a storage adapter with watch()");
+    return this.#storage.watch(this.#key, (stored) => {
+      if (stored) callback(stored.message);
+    });
+  }
+}
+
+export class Transport {
+  /**
+   * Turns the transport option into a transport
+   * @param {string|Object} transport - 'broadcast', 'storage', a MessagePort, or an object with send/receive
+   * @returns {Object} Transport
+   */
+  static resolve(transport) {
+    if (transport === "broadcast") return new BroadcastChannelTransport();
+    if (transport === "storage") return new StorageTransport();
+    if (transport && typeof transport.send === "function" && typeof transport.receive === "function") return transport;
+    if (transport && typeof transport.postMessage === "function") return new MessagePortTransport(transport);
+    throw new TypeError(`Unknown transport: ${transport}`);
+  }
+}
@@ -22,6 +22,12 @@ export class Watcher {
           before: null,
           after: null,
           map: null,
+          read: null,
+          wrap: null,
+          record: false,
+          validate: null,
+          deleteProperty: null,
+          defineProperty: null,
         });
         if (typeof context[member] === 'function') {
           originalMethods[member] = context[member];
@@ -32,7 +38,13 @@ export class Watcher {
           test: (prop) => member.test(String(prop)),
           before: null,
           after: null,
-          map: null
+          map: null,
+          read: null,
+          wrap: null,
+          record: false,
+          validate: null,
+          deleteProperty: null,
+          defineProperty: null
         });
       } else if (typeof member === 'object' && member !== null) {
 
@@ -42,7 +54,13 @@ export class Watcher {
           test: null,
           before: member.before || member.fn || null, // Support legacy 'fn' as 'before'
           after: member.after || null,
-          map: member.map || null
+          map: member.map || null,
+          read: member.read || null, // Called when a watched non-method member is read
+          wrap: member.wrap || null, // Replaces the value read, or the result of a watched method
+          record: member.record === true, // Pass a change record to after
+          validate: member.validate || null, // (value, prop) or (args, prop) for methods, returns the value to use or Watcher.REJECT
+          deleteProperty: member.deleteProperty || null, // {before, after} for delete target[prop]
+          defineProperty: member.defineProperty || null // {before, after, map} for Object.defineProperty, map receives the descriptor
         };
 
         if (typeof member.name === 'string') {
@@ -85,16 +103,30 @@ export class Watcher {
       }
     }
 
+    // Map, Set, Date... keep their state in internal slots,
+    // their methods and accessors only work with the real object as receiver
+    const internalSlots = [Map, Set, WeakMap, WeakSet, Date].some(type => context instanceof type);
+
+    // Reflect.set on the proxy receiver re-enters through defineProperty, which must not notify twice
+    let setting = 0;
+
     return new Proxy(context, {
       get(target, prop, receiver) {
+        const config = getWatcherConfig(prop);
 
         // Ensure iteration works by returning the original iterator function
-        if (prop === Symbol.iterator) {
-          return target[Symbol.iterator].bind(target);
+        if (prop === Symbol.iterator && typeof target[Symbol.iterator] === 'function') {
+          if (config && config.read) {
+            config.read();
+          }
+          const iterator = target[Symbol.iterator].bind(target);
+          if (config && config.wrap) {
+            return (...args) => config.wrap(iterator(...args));
+          }
+          return iterator;
         }
 
-        const value = Reflect.get(target, prop, receiver);
-        const config = getWatcherConfig(prop);
+        const value = Reflect.get(target, prop, internalSlots ? target : receiver);
 
         // If this is a watched method
         if (config && typeof value === 'function') {
@@ -109,22 +141,49 @@ export class Watcher {
               args = config.map(args);
             }
 
+            // A rejected call leaves the target untouched
+            if (config.validate) {
+              args = config.validate(args, prop);
+              if (args === Watcher.REJECT) return undefined;
+            }
+
+            // Describe the change while the target still holds the old state
+            const record = config.record ? Watcher.beginRecord(target, prop, args) : null;
+
             // Call the original method with correct context
             const original = originalMethods[prop] || value;
             const result = original.apply(target, args);
 
+            if (record) {
+              Watcher.endRecord(record, target, result);
+            }
+
             // Execute after-callback function if provided
             if (config.after) {
-              config.after();
+              config.after(result, record);
             }
 
             // Trigger subscriber
             if(subscriberFn) subscriberFn(prop);
 
-            return result;
+            return config.wrap ? config.wrap(result, prop, args) : result;
           };
         }
 
+        if (internalSlots && typeof value === 'function') {
+          return value.bind(target);
+        }
+
+        // Execute read-callback function if provided
+        if (config && config.read) {
+          config.read(value);
+        }
+
+        // Replace the returned value if a wrap function is provided
+        if (config && config.wrap) {
+          return config.wrap(value, prop);
+        }
+
         return value;
       },
 
@@ -142,12 +201,26 @@ export class Watcher {
             value = config.map(value);
           }
 
+          // A rejected write keeps the old value
+          if (config.validate) {
+            value = config.validate(value, prop);
+            if (value === Watcher.REJECT) return true;
+          }
+
+          const record = config.record ? Watcher.propertyRecord(target, prop, value) : null;
+
           // Set the value first
-          const result = Reflect.set(target, prop, value, receiver);
+          let result;
+          setting++;
+          try {
+            result = Reflect.set(target, prop, value, receiver);
+          } finally {
+            setting--;
+          }
 
           // Execute after-callback function if provided
           if (config.after) {
-            config.after(value);
+            config.after(value, record);
           }
 
           // Trigger subscriber
@@ -158,7 +231,182 @@ export class Watcher {
 
         // For non-watched properties, just set normally
         return Reflect.set(target, prop, value, receiver);
+      },
+
+      deleteProperty(target, prop) {
+        const config = getWatcherConfig(prop);
+        const hooks = config && config.deleteProperty;
+
+        // If deletion of this property is watched
+        if (hooks && Object.hasOwn(target, prop)) {
+          // Execute before-callback function if provided
+          if (hooks.before) {
+            hooks.before();
+          }
+
+          // Deleting is validated as writing undefined
+          if (config.validate && config.validate(undefined, prop) === Watcher.REJECT) {
+            return true;
+          }
+
+          const record = config.record ? Watcher.deleteRecord(target, prop) : null;
+
+          const result = Reflect.deleteProperty(target, prop);
+
+          // Execute after-callback function if provided
+          if (hooks.after) {
+            hooks.after(undefined, record);
+          }
+
+          // Trigger subscriber
+          if(subscriberFn) subscriberFn(prop);
+
+          return result;
+        }
+
+        return Reflect.deleteProperty(target, prop);
+      },
+
+      defineProperty(target, prop, descriptor) {
+        const config = setting ? null : getWatcherConfig(prop);
+        const hooks = config && config.defineProperty;
+
+        // If definition of this property is watched
+        if (hooks) {
+          // Execute before-callback function if provided
+          if (hooks.before) {
+            hooks.before(descriptor);
+          }
+
+          if (hooks.map) {
+            descriptor = hooks.map(descriptor);
+          }
+
+          if (config.validate && 'value' in descriptor) {
+            const value = config.validate(descriptor.value, prop);
+            if (value === Watcher.REJECT) return true;
+            descriptor = { ...descriptor, value };
+          }
+
+          const record = config.record ? Watcher.defineRecord(target, prop, descriptor) : null;
+
+          const result = Reflect.defineProperty(target, prop, descriptor);
+
+          // Execute after-callback function if provided
+          if (hooks.after) {
+            hooks.after(descriptor, record);
+          }
+
+          // Trigger subscriber
+          if(subscriberFn) subscriberFn(prop);
+
+          return result;
+        }
+
+        return Reflect.defineProperty(target, prop, descriptor);
       }
     });
   }
+
+  // Returned by a validate hook to cancel the write or call
+  static REJECT = Symbol('reject');
+
+  // Change Records
+
+  /**
+   * Describes an assignment, must be called before the value is set
+   * @param {Object} target - Object being written to
+   * @param {string|symbol} prop - Property being assigned
+   * @param {*} newValue - Value being assigned
+   * @returns {Object} Record like {path, op: 'set', oldValue, newValue}
+   */
+  static propertyRecord(target, prop, newValue) {
+    if (Array.isArray(target) && prop === 'length') {
+      const index = Math.min(newValue, target.length);
+      return { path: [], op: 'splice', index, removed: target.slice(index), added: new Array(Math.max(0, newValue - target.length)).fill(undefined) };
+    }
+    const key = Array.isArray(target) && /^\d+$/.test(prop) ? Number(prop) : prop;
+    const record = { path: [key], op: 'set', oldValue: target[prop], newValue };
+    if (typeof key === 'number') record.index = key;
+    return record;
+  }
+
+  /**
+   * Describes a property deletion, must be called before the property is deleted
+   * @returns {Object} Record like {path, op: 'delete', oldValue}
+   */
+  static deleteRecord(target, prop) {
+    const key = Array.isArray(target) && /^\d+$/.test(prop) ? Number(prop) : prop;
+    const record = { path: [key], op: 'delete', oldValue: target[prop] };
+    if (typeof key === 'number') record.index = key;
+    return record;
+  }
+
+  /**
+   * Describes Object.defineProperty, data descriptors are recorded as plain assignments
+   * @returns {Object} Record like {path, op: 'set', oldValue, newValue} or {path, op: 'define', oldValue, descriptor}
+   */
+  static defineRecord(target, prop, descriptor) {
+    if ('value' in descriptor) return Watcher.propertyRecord(target, prop, descriptor.value);
+    return { path: [prop], op: 'define', oldValue: target[prop], descriptor };
+  }
+
+  /**
+   * Describes a method call, must be called before the method runs
+   * @param {Object} target - Array, Map or Set the method is called on
+   * @param {string|symbol} prop - Method name
+   * @param {Array} args - Method arguments
+   * @returns {Object} Record like {path, op: 'splice'|'sort'|'reverse'|'set'|'delete'|..., index, removed, added, oldValue, newValue}
+   */
+  static beginRecord(target, prop, args) {
+    if (Array.isArray(target)) {
+      const length = target.length;
+      switch (prop) {
+        case 'push':
+          return { path: [], op: 'splice', index: length, removed: [], added: [...args] };
+        case 'pop':
+          return { path: [], op: 'splice', index: Math.max(0, length - 1), removed: target.slice(-1), added: [] };
+        case 'shift':
+          return { path: [], op: 'splice', index: 0, removed: target.slice(0, 1), added: [] };
+        case 'unshift':
+          return { path: [], op: 'splice', index: 0, removed: [], added: [...args] };
+        case 'splice': {
+          // Same argument normalization as Array.prototype.splice
+          const relative = Math.trunc(args[0]) || 0;
+          const index = relative < 0 ? Math.max(length + relative, 0) : Math.min(relative, length);
+          const count = args.length === 0 ? 0 : args.length === 1 ? length - index : Math.min(Math.max(Math.trunc(args[1]) || 0, 0), length - index);
+          return { path: [], op: 'splice', index, removed: target.slice(index, index + count), added: args.slice(2) };
+        }
+        default:
+          // sort, reverse, fill, copyWithin... reorder or overwrite in place
+          return { path: [], op: String(prop), oldValue: [...target] };
+      }
+    }
+
+    if (target instanceof Map) {
+      const [key, value] = args;
+      if (prop === 'set') return { path: [key], op: 'set', oldValue: target.get(key), newValue: value };
+      if (prop === 'delete') return { path: [key], op: 'delete', oldValue: target.get(key) };
+      if (prop === 'clear') return { path: [], op: 'clear', oldValue: new Map(target) };
+    }
+
+    if (target instanceof Set) {
+      const [value] = args;
+      if (prop === 'add') return { path: [], op: 'add', newValue: value };
+      if (prop === 'delete') return { path: [], op: 'delete', oldValue: value };
+      if (prop === 'clear') return { path: [], op: 'clear', oldValue: new Set(target) };
+    }
+
+    return { path: [], op: String(prop) };
+  }
+
+  /**
+   * Completes a record started by beginRecord once the method returned
+   */
+  static endRecord(record, target, result) {
+    if (Array.isArray(target) && record.op !== 'splice') {
+      record.newValue = [...target];
+    }
+    return record;
+  }
 }
@@ -2,6 +2,26 @@ import { Builder } from './Builder.js';
 import { Arr } from './Arr.js';
 import { Obj } from './Obj.js';
 import { Signal } from './Signal.js';
+import { Computed, computed } from './Computed.js';
+import { Effect, effect } from './Effect.js';
+import { JSONPatch, applyPatch } from './JSONPatch.js';
+import { StorageAdapter, MemoryStorage, WebStorage, FileStorage } from './StorageAdapter.js';
+import { Transport, BroadcastChannelTransport, MessagePortTransport, WorkerTransport, StorageTransport } from './Transport.js';
+import { History } from './History.js';
+import { Merge } from './Merge.js';
+import { Replica } from './Replica.js';
+import { CrdtArr } from './CrdtArr.js';
+import { CrdtObj } from './CrdtObj.js';
+import { Schema, SchemaError } from './Schema.js';
+import { ReactiveMap } from './ReactiveMap.js';
+import { ReactiveSet } from './ReactiveSet.js';
+import { Resource } from './Resource.js';
+import * as operators from './Operators.js';
+import { TC39 } from './TC39.js';
+import { Snapshot, snapshot, hydrate, toRaw } from './Snapshot.js';
+import { Codec } from './Codec.js';
+import { Str } from './Str.js';
+import { Num } from './Num.js';
 
 
-export { Builder, Arr, Obj, Signal }
+export { Builder, Arr, Obj, Signal, Computed, computed, Effect, effect, JSONPatch, applyPatch, StorageAdapter, MemoryStorage, WebStorage, FileStorage, Transport, BroadcastChannelTransport, MessagePortTransport, WorkerTransport, StorageTransport, History, Merge, Replica, CrdtArr, CrdtObj, Schema, SchemaError, ReactiveMap, ReactiveSet, Resource, operators, TC39, Snapshot, snapshot, hydrate, toRaw, Codec, Str, Num }
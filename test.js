@@ -1,4 +1,7 @@
 import util from 'node:util';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
 import test from 'node:test';
 import { strict as assert } from 'node:assert';
 
@@ -6,6 +9,26 @@ import { Obj } from './Obj.js';
 import { Arr } from './Arr.js';
 import { Builder } from './Builder.js';
 import { Walker } from './Walker.js';
+import { Signal } from './Signal.js';
+import { computed } from './Computed.js';
+import { effect } from './Effect.js';
+import { applyPatch } from './JSONPatch.js';
+import { MemoryStorage, FileStorage } from './StorageAdapter.js';
+import { MessageChannel } from 'node:worker_threads';
+import { History } from './History.js';
+import { CrdtArr } from './CrdtArr.js';
+import { CrdtObj } from './CrdtObj.js';
+import { Merge } from './Merge.js';
+import { StorageTransport } from './Transport.js';
+import { SchemaError } from './Schema.js';
+import { ReactiveMap } from './ReactiveMap.js';
+import { ReactiveSet } from './ReactiveSet.js';
+import { map, filter, scan, pairwise, take, skip, switchMap } from './Operators.js';
+import { TC39 } from './TC39.js';
+import { snapshot, hydrate, toRaw } from './Snapshot.js';
+import { Codec } from './Codec.js';
+import { Str } from './Str.js';
+import { Num } from './Num.js';
 
 
 
@@ -33,3 +56,1240 @@ test('Create an object inside an array', (t) => {
   const created = Builder.create(root, '/my-app/user/gradient.arr/0');
   assert.equal(created.length, 1);
 });
+
+test('computed is lazy, memoized and drops stale dependencies', (t) => {
+  const flag = new Signal(true);
+  const a = new Signal(1);
+  const b = new Signal(10);
+  let runs = 0;
+  const total = computed(() => (runs++, flag.value ? a.value : b.value));
+  assert.equal(runs, 0);
+  assert.equal(total.value, 1);
+  assert.equal(total.value, 1);
+  assert.equal(runs, 1);
+  flag.value = false;
+  assert.equal(total.value, 10);
+  assert.deepEqual(total.dependencies, [flag, b]);
+  a.value = 2; // no longer a dependency
+  assert.equal(total.value, 10);
+  assert.equal(runs, 2);
+});
+
+test('effect tracks Signal, Arr and Obj reads and disposes', (t) => {
+  const list = new Arr([1, 2]);
+  const settings = new Obj({ factor: 2 });
+  const seen = [];
+  const dispose = effect(() => { seen.push(list.map(v => v * settings.factor)) });
+  list.push(3);
+  settings.factor = 10;
+  dispose();
+  list.push(4);
+  assert.deepEqual(seen, [[2, 4], [2, 4, 6], [10, 20, 30]]);
+});
+
+test('batch notifies once per signal and derived signals never see half-updated state', (t) => {
+  const first = new Signal('Alice');
+  const last = new Signal('Smith');
+  const seen = [];
+  const full = Signal.combineLatest(first, last);
+  full.subscribe(([a, b]) => seen.push(`${a} ${b}`), false);
+  const initials = computed(() => first.value[0] + last.value[0]);
+  effect(() => seen.push(initials.value));
+  Signal.batch(() => {
+    first.value = 'Bob';
+    last.value = 'Jones';
+    assert.deepEqual(seen, ['AS']);
+  });
+  assert.deepEqual(seen, ['AS', 'Bob Jones', 'BJ']);
+});
+
+test('deep Obj and Arr notify on nested writes with stable proxies', (t) => {
+  const raw = { name: 'alice', tags: new Set(['a']), scores: new Map([['x', { points: 1 }]]) };
+  raw.self = raw;
+  const obj = new Obj({ user: raw }, { deep: true });
+  const list = new Arr([{ done: false }], { deep: true });
+  let changes = 0;
+  obj[Signal.Symbol].subscribe(() => changes++, false);
+  list[Signal.Symbol].subscribe(() => changes++, false);
+
+  assert.equal(obj.user, obj.user);
+  assert.equal(obj.user.self, obj.user);
+  obj.user.name = 'bob';
+  obj.user.tags.add('b');
+  obj.user.scores.get('x').points = 2;
+  for (const [, score] of obj.user.scores) score.points++;
+  list[0].done = true;
+  for (const item of list) item.done = false;
+  assert.equal(changes, 6);
+  assert.equal(raw.scores.get('x').points, 3);
+  assert.equal(list.indexOf(list[0]), 0);
+});
+
+test('change records describe each mutation', (t) => {
+  const list = new Arr([3, 1, 2], { records: true });
+  const profile = new Obj({ user: { name: 'alice' } }, { records: true, deep: true });
+  const seen = [];
+  list[Signal.Symbol].subscribe((value, records) => seen.push(...records), false);
+  profile.subscribe((value, records) => seen.push(...records), false);
+  Signal.batch(() => {
+    list.push(4);
+    list.splice(0, 1);
+    list[0] = 10;
+  });
+  list.sort();
+  profile.user.name = 'bob';
+  assert.deepEqual(seen, [
+    { path: [], op: 'splice', index: 3, removed: [], added: [4] },
+    { path: [], op: 'splice', index: 0, removed: [3], added: [] },
+    { path: [0], op: 'set', index: 0, oldValue: 1, newValue: 10 },
+    { path: [], op: 'sort', oldValue: [10, 2, 4], newValue: [10, 2, 4].sort() },
+    { path: ['user', 'name'], op: 'set', oldValue: 'alice', newValue: 'bob' },
+  ]);
+});
+
+test('delete and defineProperty notify subscribers', (t) => {
+  const settings = new Obj({ theme: 'dark', size: 1 }, { records: true });
+  const list = new Arr([1, 2, 3]);
+  const seen = [];
+  settings.subscribe((value, records) => seen.push(...records), false);
+  list[Signal.Symbol].subscribe(() => seen.push('list'), false);
+  delete settings.theme;
+  delete settings.missing;
+  Object.defineProperty(settings, 'size', { value: 2, writable: true, enumerable: true, configurable: true });
+  settings.size = 3;
+  delete list[1];
+  assert.deepEqual(seen, [
+    { path: ['theme'], op: 'delete', oldValue: 'dark' },
+    { path: ['size'], op: 'set', oldValue: 1, newValue: 2 },
+    { path: ['size'], op: 'set', oldValue: 2, newValue: 3 },
+    'list',
+  ]);
+});
+
+test('keyed reconciliation produces minimal moves and replays correctly', (t) => {
+  const apply = (list, patch) => {
+    for (const { op, start, deleteCount, value, from, to, index } of patch) {
+      if (op === 'splice') list.splice(start, deleteCount, ...(deleteCount ? [] : [value]));
+      if (op === 'move') list.splice(to, 0, ...list.splice(from, 1));
+      if (op === 'removeChild') list.splice(index, 1);
+      if (op === 'appendChild') list.push(value);
+      if (op === 'insertBefore') list.splice(index, 0, value);
+      if (op === 'moveBefore') list.splice(index, 0, ...list.splice(from, 1));
+    }
+    return list;
+  };
+  // mulberry32, seeded so a failing round can be replayed
+  const generator = (seed) => () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  for (const diff of ['JS', 'DOM']) {
+    for (let seed = 1; seed <= 50; seed++) {
+      const next = generator(seed);
+      const random = (n) => Array.from({ length: n }, () => Math.floor(next() * 8));
+      const before = random(10);
+      const after = random(12); // duplicates on purpose
+      const list = new Arr(before);
+      let mirror = [];
+      list.subscribe((value, patch) => { mirror = apply(mirror, patch) }, { diff, key: (v) => v, signal: true });
+      list.splice(0, list.length, ...after);
+      assert.deepEqual(mirror, [...list], `diff ${diff}, seed ${seed}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`);
+    }
+  }
+
+  const items = Array.from({ length: 10000 }, (_, id) => ({ id }));
+  const list = new Arr(items);
+  const seen = [];
+  list.subscribe((value, patch, changes) => seen.push(patch, changes), { diff: 'DOM', key: (item) => item.id, signal: true });
+  Signal.batch(() => list.push(list.shift()));
+  assert.deepEqual(seen[2], [{ op: 'moveBefore', from: 0, index: 9999 }]);
+  assert.deepEqual(seen[3].moved, [{ item: items[0], from: 0, to: 9999 }]);
+});
+
+test('JSON Patch subscriptions replay through applyPatch with one notification', (t) => {
+  const source = new Obj({ user: { name: 'alice' }, tags: ['a', 'b'] }, { deep: true });
+  const replica = new Obj({ user: { name: 'alice' }, tags: ['a', 'b'] });
+  const batches = [];
+  let notifications = 0;
+  source.subscribe((value, operations) => batches.push(operations), { diff: 'JSONPatch', signal: false });
+  replica.subscribe(() => notifications++, false);
+
+  Signal.batch(() => {
+    source.user.name = 'bob';
+    source.tags.push('c/d');
+    delete source.user;
+  });
+  assert.deepEqual(batches[0], [
+    { op: 'remove', path: '/user' },
+    { op: 'add', path: '/tags/2', value: 'c/d' },
+  ]);
+  applyPatch(replica, batches[0]);
+  assert.equal(notifications, 1);
+  assert.deepEqual(JSON.parse(JSON.stringify(replica)), { tags: ['a', 'b', 'c/d'] });
+
+  const list = new Arr([{ id: 1 }, { id: 2 }, { id: 3 }]);
+  list.subscribe((value, operations) => batches.push(operations), { diff: 'JSONPatch', key: (item) => item.id, signal: false });
+  list.reverse();
+  assert.deepEqual(batches[1], [{ op: 'move', from: '/1', path: '/0' }, { op: 'move', from: '/2', path: '/0' }]);
+  assert.throws(() => applyPatch(replica, [{ op: 'add', path: '/tags/0', value: 'x' }, { op: 'test', path: '/tags/0', value: 'a' }]));
+  assert.deepEqual(replica.tags, ['a', 'b', 'c/d']);
+
+  const storage = new MemoryStorage();
+  const stored = new Obj({ user: { name: 'alice' } }, { domain: 'test', name: 'patched', persistence: true, storage });
+  const rev = stored[Signal.Symbol].rev;
+  applyPatch(stored, [{ op: 'replace', path: '/user/name', value: 'bob' }]);
+  assert.ok(stored[Signal.Symbol].rev > rev);
+  assert.deepEqual(storage.get('test--patched').value, { user: { name: 'bob' } });
+});
+
+test('storage adapters persist and restore Signal, Arr and Obj', async (t) => {
+  const storage = new MemoryStorage();
+  const options = (name) => ({ domain: 'test', name, persistence: true, storage });
+
+  const list = new Arr([1], options('list'));
+  const settings = new Obj({ theme: 'dark' }, options('settings'));
+  list.push(2);
+  settings.theme = 'light';
+  assert.deepEqual(storage.get('test--list').value, [1, 2]);
+
+  const restoredList = new Arr([], options('list'));
+  const restoredSettings = new Obj({ theme: 'dark' }, options('settings'));
+  assert.deepEqual([...restoredList], [1, 2]);
+  assert.equal(restoredSettings.theme, 'light');
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'supernatural-')), 'store.json');
+  const counter = new Signal(0, { ...options('counter'), storage: new FileStorage(file, { fs }) });
+  counter.value = 5;
+  const restored = new Signal(0, { ...options('counter'), storage: new FileStorage(file, { async: true }) });
+  assert.equal(restored.ready, false);
+  await restored.hydration;
+  assert.equal(restored.ready, true);
+  assert.equal(restored.value, 5);
+});
+
+test('transports synchronize signals without persistence', async (t) => {
+  // Resolves once the receiving side holds the expected value, however long delivery takes
+  const until = async (signal, test) => {
+    let unsubscribe;
+    await new Promise((resolve) => (unsubscribe = signal.subscribe((value) => test(value) && resolve())));
+    unsubscribe();
+  };
+  const { port1, port2 } = new MessageChannel();
+  const left = new Arr([1], { name: 'list', transport: port1 });
+  const right = new Arr([], { name: 'list', transport: port2 });
+  left.push(2);
+  await until(right[Signal.Symbol], (value) => value.length === 2);
+  assert.deepEqual([...right], [1, 2]);
+  right.reverse();
+  await until(left[Signal.Symbol], (value) => value[0] === 2);
+  assert.deepEqual([...left], [2, 1]);
+  assert.equal(left[Signal.Symbol].rev, right[Signal.Symbol].rev);
+  left[Signal.Symbol].dispose();
+  right[Signal.Symbol].dispose();
+  port1.close();
+
+  const a = new Signal(1, { name: 'counter', transport: 'broadcast' });
+  a.value = 2;
+  const b = new Signal(0, { name: 'counter', transport: 'broadcast' });
+  await until(b, (value) => value === 2);
+  assert.equal(b.value, 2);
+  b.value = 3;
+  await until(a, (value) => value === 3);
+  assert.equal(a.value, 3);
+  a.dispose();
+  b.dispose();
+});
+
+test('history undoes and redoes steps, groups and persisted writes', (t) => {
+  const storage = new MemoryStorage();
+  const settings = new Obj({ theme: 'dark', size: 1 }, { domain: 'test', name: 'history', persistence: true, storage });
+  const history = new History(settings, { limit: 2 });
+  const states = [];
+  history.canUndo.subscribe((value) => states.push(value));
+
+  settings.theme = 'light';
+  history.group(() => {
+    settings.size = 2;
+    settings.size = 3;
+  });
+  assert.deepEqual(history.size, { undo: 2, redo: 0 });
+  assert.equal(history.undo(), true);
+  assert.equal(settings.size, 1);
+  assert.equal(storage.get('test--history').value.size, 1);
+  assert.equal(history.canRedo.value, true);
+  history.redo();
+  assert.equal(settings.size, 3);
+
+  settings.theme = 'blue';
+  assert.deepEqual(history.size, { undo: 2, redo: 0 }); // oldest step dropped
+  history.undo();
+  history.undo();
+  assert.equal(history.undo(), false);
+  assert.deepEqual(JSON.parse(JSON.stringify(settings)), { theme: 'light', size: 1 });
+  assert.deepEqual(states, [false, true, false]);
+
+  const counter = new Signal(0);
+  const counterHistory = new History(counter);
+  counter.value = 1;
+  counter.value = 2;
+  counterHistory.undo();
+  assert.equal(counter.value, 1);
+  counterHistory.redo();
+  assert.equal(counter.value, 2);
+  assert.equal(counterHistory.canRedo.value, false);
+
+  // Grouping by time reads the clock it is given
+  let now = 0;
+  const typed = new Signal('');
+  const typing = new History(typed, { grouping: 500, clock: { now: () => now } });
+  typed.value = 'a';
+  now = 400;
+  typed.value = 'ab';
+  now = 1000;
+  typed.value = 'abc';
+  assert.deepEqual(typing.size, { undo: 2, redo: 0 });
+  typing.undo();
+  assert.equal(typed.value, 'ab');
+  typing.undo();
+  assert.equal(typed.value, '');
+});
+
+test('conflict strategies merge concurrent edits and expose discarded ones', (t) => {
+  // Two peers whose messages are held until flush, so both sides edit concurrently
+  const link = () => {
+    const queues = [[], []];
+    const listeners = [new Set(), new Set()];
+    const end = (side) => ({
+      send: (message) => queues[1 - side].push(JSON.parse(JSON.stringify(message))),
+      receive: (callback) => {
+        listeners[side].add(callback);
+        return () => listeners[side].delete(callback);
+      },
+    });
+    const flush = () => {
+      while (queues[0].length || queues[1].length) {
+        for (const side of [0, 1]) while (queues[side].length) listeners[side].forEach((callback) => callback(queues[side].shift()));
+      }
+    };
+    return [end(0), end(1), flush];
+  };
+
+  const [a, b, flush] = link();
+  const left = new Obj({ theme: 'dark', size: 1, font: 'serif' }, { name: 'doc', transport: a, conflict: 'merge' });
+  const right = new Obj({ theme: 'dark', size: 1, font: 'serif' }, { name: 'doc', transport: b, conflict: 'merge' });
+  flush();
+  left.theme = 'light';
+  left.font = 'mono';
+  right.size = 2;
+  right.font = 'sans';
+  flush();
+  assert.deepEqual(JSON.parse(JSON.stringify(left)), JSON.parse(JSON.stringify(right)));
+  assert.equal(left.theme, 'light');
+  assert.equal(left.size, 2);
+  assert.equal(left[Signal.Symbol].rev, right[Signal.Symbol].rev);
+  const conflicts = left[Signal.Symbol].conflicts;
+  const conflict = conflicts.value.at(-1);
+  assert.deepEqual(conflict.path, ['font']);
+  assert.deepEqual([conflict.value, conflict.kept].sort(), ['mono', 'sans']);
+  const count = conflicts.value.length;
+  left[Signal.Symbol].resolveConflict(conflict, { ...JSON.parse(JSON.stringify(left)), font: conflict.value });
+  assert.equal(conflicts.value.length, count - 1);
+  flush();
+  assert.equal(right.font, conflict.value);
+
+  const [c, d, deliver] = link();
+  const first = new Arr(['a', 'b'], { name: 'list', transport: c, conflict: 'sequence' });
+  const second = new Arr(['a', 'b'], { name: 'list', transport: d, conflict: 'sequence' });
+  deliver();
+  first.push('c');
+  second.shift();
+  second.unshift('z');
+  deliver();
+  assert.deepEqual([...first], ['z', 'b', 'c']);
+  assert.deepEqual([...second], ['z', 'b', 'c']);
+
+  const [e, f, send] = link();
+  const resolve = (local, remote, base) => local + remote - base;
+  const one = new Signal(10, { name: 'count', transport: e, conflict: resolve });
+  const two = new Signal(10, { name: 'count', transport: f, conflict: resolve });
+  send();
+  one.value = 15;
+  two.value = 12;
+  send();
+  assert.equal(one.value, 17);
+  assert.equal(two.value, 17);
+
+  // The same edit with its keys written in another order is not a conflict
+  const reported = [];
+  const context = { remoteWins: true, conflict: (path, value, kept) => reported.push(path) };
+  const merged = Merge.object({ pos: { x: 1, y: 2 } }, { pos: { y: 2, x: 1 } }, { pos: { x: 0, y: 0 } }, context);
+  assert.deepEqual(merged, { pos: { x: 1, y: 2 } });
+  assert.deepEqual(Merge.sequence([{ a: 1, b: 2 }], [{ b: 2, a: 1 }], [], context), [{ a: 1, b: 2 }]);
+  assert.deepEqual(reported, []);
+});
+
+test('CRDT Arr and Obj replicas converge on concurrent edits', (t) => {
+  // Every end sees the messages of the others once flush is called
+  const hub = () => {
+    const listeners = new Set();
+    let queue = [];
+    const end = () => {
+      const own = new Set();
+      return {
+        send: (message) => queue.push({ own, message: JSON.parse(JSON.stringify(message)) }),
+        receive: (callback) => {
+          const listener = { own, callback };
+          listeners.add(listener);
+          return () => listeners.delete(listener);
+        },
+      };
+    };
+    const flush = () => {
+      while (queue.length) {
+        const batch = queue;
+        queue = [];
+        for (const { own, message } of batch) for (const listener of listeners) if (listener.own !== own) listener.callback(message);
+      }
+    };
+    return { end, flush };
+  };
+
+  const network = hub();
+  const peers = ['a', 'b', 'c'].map((site) => new CrdtArr(['x', 'y'], { name: 'list', site, transport: network.end() }));
+  network.flush();
+  const sent = [];
+  peers[0].subscribe((value, operations) => sent.push(...operations), { diff: 'CRDT' });
+
+  peers[0].splice(1, 0, 'a1');
+  peers[1].splice(1, 0, 'b1', 'b2');
+  peers[2].shift();
+  peers[2].push('c1');
+  assert.deepEqual(sent.map((operation) => operation.op), ['insert']);
+  network.flush();
+  for (const peer of peers) assert.deepEqual([...peer], ['b1', 'b2', 'a1', 'y', 'c1']);
+
+  peers[1][0] = 'B1';
+  peers[2].reverse();
+  network.flush();
+  assert.deepEqual([...peers[0]], [...peers[1]]);
+  assert.deepEqual([...peers[1]], [...peers[2]]);
+
+  const late = new CrdtArr([], { name: 'list', site: 'd', transport: network.end() });
+  network.flush();
+  assert.deepEqual([...late], [...peers[0]]);
+
+  const storage = new MemoryStorage();
+  const left = new CrdtObj({ theme: 'dark' }, { name: 'settings', site: 'left', transport: new StorageTransport(storage) });
+  const right = new CrdtObj({ theme: 'dark' }, { name: 'settings', site: 'right', transport: new StorageTransport(storage) });
+  left.theme = 'light';
+  right.size = 2;
+  assert.deepEqual(JSON.parse(JSON.stringify(left)), { theme: 'light', size: 2 });
+  assert.deepEqual(JSON.parse(JSON.stringify(right)), { theme: 'light', size: 2 });
+
+  const one = new CrdtObj({}, { site: 'one' });
+  const two = new CrdtObj({}, { site: 'two' });
+  const operations = [];
+  one.subscribe((value, ops) => operations.push(['one', ops]), { diff: 'CRDT' });
+  two.subscribe((value, ops) => operations.push(['two', ops]), { diff: 'CRDT' });
+  one.color = 'red';
+  two.color = 'blue';
+  delete two.color;
+  for (const [site, ops] of operations) (site === 'one' ? two : one).apply(ops);
+  assert.equal(one.color, undefined);
+  assert.equal(two.color, undefined);
+  // Replicas that start from different data keep both, and agree on the order and the winners
+  const red = new CrdtArr(['r1', 'r2'], { site: 'red' });
+  const blue = new CrdtArr(['b1'], { site: 'blue' });
+  red.apply(blue.state());
+  blue.apply(red.state());
+  assert.deepEqual([...red], [...blue]);
+  assert.equal(red.length, 3);
+  const dark = new CrdtObj({ theme: 'dark' }, { site: 'dark' });
+  const light = new CrdtObj({ theme: 'light' }, { site: 'light' });
+  dark.apply(light.state());
+  light.apply(dark.state());
+  assert.equal(dark.theme, light.theme);
+
+  // A reorder travels as one removal and one insertion, not one of each per item
+  const reordered = [];
+  red.subscribe((value, ops) => reordered.push(...ops), { diff: 'CRDT' });
+  red.reverse();
+  assert.deepEqual(reordered.map((operation) => operation.op), ['delete', 'insert']);
+  blue.apply(reordered);
+  assert.deepEqual([...blue], [...red]);
+});
+
+test('schema option coerces writes and rejects invalid ones', (t) => {
+  const user = new Obj({ name: 'alice', age: 30 }, { schema: { name: 'string', age: 'integer', tags: ['string'], address: { zip: 'string?' } }, deep: true });
+  user.age = '31';
+  assert.equal(user.age, 31);
+  assert.throws(() => (user.age = 'old'), SchemaError);
+  assert.equal(user.age, 31);
+  assert.throws(() => delete user.name, /Expected string at name/);
+  user.tags = [1, 'b'];
+  assert.deepEqual([...user.tags], ['1', 'b']);
+  user.tags.push(2);
+  assert.equal(user.tags[2], '2');
+  assert.throws(() => user.tags.push({}), /tags\.3/);
+  user.address = {};
+  user.address.zip = 12345;
+  assert.equal(user.address.zip, '12345');
+
+  const scores = new Arr([1, 2], { schema: ['number'], invalid: 'keep' });
+  let notified = 0;
+  scores[Signal.Symbol].subscribe(() => notified++, false);
+  scores.push('3', 'x');
+  scores[0] = 'nope';
+  scores.splice(0, 1, '10');
+  assert.deepEqual([...scores], [10, 2]);
+  assert.equal(notified, 1);
+
+  const even = new Signal(0, { schema: (value) => value % 2 === 0, invalid: 'keep' });
+  even.value = 3;
+  even.value = 4;
+  assert.equal(even.value, 4);
+
+  const storage = new MemoryStorage();
+  storage.set('test--profile', { key: 'test--profile', rev: 9, revId: 'x', value: { name: 42 } });
+  const profile = new Obj({ name: 'default' }, { domain: 'test', name: 'profile', persistence: true, storage, schema: { name: 'string' } });
+  assert.equal(profile.name, '42');
+  storage.set('test--broken', { key: 'test--broken', rev: 9, revId: 'x', value: { name: {} } });
+  const broken = new Obj({ name: 'default' }, { domain: 'test', name: 'broken', persistence: true, storage, schema: { name: 'string' }, invalid: 'keep' });
+  assert.equal(broken.name, 'default');
+  assert.equal(storage.get('test--broken').value.name, 'default');
+  assert.throws(() => new Obj({}, { domain: 'test', name: 'broken', persistence: true, storage, schema: { name: 'number' } }), SchemaError);
+});
+
+test('versioned persistence migrates stored values in order', async (t) => {
+  const storage = new MemoryStorage();
+  storage.set('test--user', { key: 'test--user', rev: 4, revId: 'x', value: { name: 'Ada Lovelace' } });
+  const migrations = {
+    2: (v1) => ({ first: v1.name.split(' ')[0], last: v1.name.split(' ')[1] }),
+    3: (v2) => ({ ...v2, email: null }),
+  };
+  const user = new Obj({ first: '', last: '', email: null }, { domain: 'test', name: 'user', persistence: true, storage, version: 3, migrations });
+  assert.deepEqual(JSON.parse(JSON.stringify(user)), { first: 'Ada', last: 'Lovelace', email: null });
+  assert.equal(storage.get('test--user').version, 3);
+  assert.equal(storage.get('test--user').value.first, 'Ada');
+
+  storage.set('test--settings', { key: 'test--settings', rev: 2, revId: 'y', version: 1, value: null });
+  const settings = new Obj({ theme: 'dark' }, { domain: 'test', name: 'settings', persistence: true, storage, version: 2, migrations: { 2: (v1) => ({ theme: v1.color.toLowerCase() }) } });
+  const error = await new Promise((resolve) => settings[Signal.Symbol].onError((error, details) => resolve({ error, details })));
+  assert.equal(settings.theme, 'dark');
+  assert.equal(storage.get('test--settings').version, 2);
+  assert.deepEqual(error.details, { phase: 'migration', from: 1, to: 2 });
+  assert.ok(error.error instanceof TypeError);
+});
+
+test('ReactiveMap and ReactiveSet notify, track keys and persist', (t) => {
+  const prices = new ReactiveMap([['apple', 1]]);
+  const changes = [];
+  const apples = [];
+  prices.subscribe((map) => changes.push(map.size), { signal: false });
+  prices.subscribe((value) => apples.push(value), { key: 'apple' });
+  prices.set('pear', 2);
+  prices.set('apple', 3);
+  prices.delete('plum');
+  prices.delete('apple');
+  assert.deepEqual(changes, [2, 2, 1]);
+  assert.deepEqual(apples, [1, 3, undefined]);
+
+  const total = computed(() => [...prices.values()].reduce((sum, price) => sum + price, 0));
+  assert.equal(total.value, 2);
+  prices.set('fig', 5);
+  assert.equal(total.value, 7);
+
+  const tags = new ReactiveSet(['a']);
+  const membership = [];
+  tags.subscribe((has) => membership.push(has), { key: 'b', signal: false });
+  tags.add('b');
+  tags.add('c');
+  tags.clear();
+  assert.deepEqual(membership, [true, false]);
+
+  const storage = new MemoryStorage();
+  const options = { domain: 'test', name: 'collections', persistence: true, storage };
+  new ReactiveMap([['a', 1]], options).set('b', 2);
+  assert.deepEqual(storage.get('test--collections').value, [['a', 1], ['b', 2]]);
+  assert.deepEqual([...new ReactiveMap([], options)], [['a', 1], ['b', 2]]);
+  new ReactiveSet([], { ...options, name: 'set' }).add('x');
+  assert.deepEqual([...new ReactiveSet([], { ...options, name: 'set' })], ['x']);
+});
+
+test('select and subscribe by path only fire when the value at the path changes', (t) => {
+  const state = new Obj({ user: new Obj({ profile: new Obj({ name: 'Alice', age: 30 }) }), items: new Arr([new Obj({ id: 1 })]) });
+  const names = [];
+  const unsubscribe = state.subscribe('user/profile/name', (name) => names.push(name));
+  state.user.profile.age = 31;
+  state.user.profile.name = 'Bob';
+  state.user = new Obj({ profile: new Obj({ name: 'Carol' }) });
+  state.user.profile.name = 'Carol';
+  assert.deepEqual(names, ['Alice', 'Bob', 'Carol']);
+  unsubscribe();
+  state.user.profile.name = 'Dave';
+  assert.deepEqual(names, ['Alice', 'Bob', 'Carol']);
+
+  const id = state.select('items.arr/0/id');
+  assert.equal(id.value, 1);
+  state.items.unshift(new Obj({ id: 2 }));
+  assert.equal(id.value, 2);
+  assert.equal(Builder.get(state, 'items.arr/1/id'), 1);
+  assert.equal(Builder.get(state, 'user/missing/name'), undefined);
+
+  const ids = [];
+  id.subscribe((value) => ids.push(value), false);
+  state[Signal.Symbol].dispose();
+  state.items[0].id = 3;
+  assert.deepEqual(ids, []);
+
+  // A selector disposed on its own is taken off its container
+  const removed = t.mock.method(state.items[Signal.Symbol], 'removeDisposable');
+  state.items.select('0/id').dispose();
+  state.user.select('profile/name').dispose();
+  assert.equal(removed.mock.callCount(), 1);
+});
+
+test('Resources abort stale calls, track loading and errors, and adapt promises and async iterables', async (t) => {
+  const query = new Signal('a');
+  const aborted = [];
+  const pending = {};
+  const results = Signal.resource(query, (q, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => aborted.push(q));
+    pending[q] = { resolve, reject };
+  }), 'initial');
+  const states = [];
+  results.loading.subscribe((loading) => states.push(loading));
+  assert.equal(results.loading.value, true);
+
+  query.value = 'b';
+  assert.deepEqual(aborted, ['a']);
+  pending.a.resolve('stale');
+  pending.b.resolve('fresh');
+  await new Promise((resolve) => setTimeout(resolve));
+  assert.equal(results.value.value, 'fresh');
+  assert.equal(results.loading.value, false);
+  assert.deepEqual(states, [true, false]);
+
+  results.refetch();
+  pending.b.reject(new Error('offline'));
+  await new Promise((resolve) => setTimeout(resolve));
+  assert.equal(results.error.value.message, 'offline');
+  assert.equal(results.value.value, 'fresh');
+
+  query.value = 'c';
+  results.dispose();
+  assert.deepEqual(aborted, ['a', 'c']);
+  query.value = 'd';
+  assert.equal(pending.d, undefined);
+
+  const answer = Signal.fromPromise(Promise.resolve(42), 0);
+  const failed = Signal.fromPromise(Promise.reject(new Error('nope')));
+  const errors = [];
+  failed.onError((error, details) => errors.push([error.message, details.phase]));
+  assert.equal(answer.value, 0);
+
+  let finish;
+  const finished = new Promise((resolve) => (finish = resolve));
+  let third;
+  const reachedThird = new Promise((resolve) => (third = resolve));
+  async function* count() {
+    try {
+      for (let i = 1; ; i++) {
+        yield i;
+        await new Promise((resolve) => setTimeout(resolve));
+      }
+    } finally {
+      finish();
+    }
+  }
+  const counter = Signal.fromAsyncIterable(count());
+  const counted = [];
+  counter.subscribe((value) => {
+    counted.push(value);
+    if (value === 3) third();
+  });
+  await reachedThird;
+  counter.dispose();
+  await finished; // dispose returned the iterator, its finally block ran
+  assert.equal(answer.value, 42);
+  assert.deepEqual(errors, [['nope', 'promise']]);
+  assert.deepEqual(counted, [1, 2, 3]);
+});
+
+test('Time operators run on an injected clock and clear their timers on dispose', (t) => {
+  let now = 0;
+  const timers = new Map();
+  let nextTimer = 1;
+  const clock = {
+    now: () => now,
+    setTimeout: (fn, ms) => (timers.set(nextTimer, { fn, at: now + ms }), nextTimer++),
+    clearTimeout: (timer) => timers.delete(timer),
+  };
+  const advance = (ms) => {
+    const end = now + ms;
+    for (let due; (due = [...timers].filter(([, timer]) => timer.at <= end).sort((a, b) => a[1].at - b[1].at)[0]); ) {
+      timers.delete(due[0]);
+      now = due[1].at;
+      due[1].fn();
+    }
+    now = end;
+  };
+  const values = (signal) => {
+    const list = [];
+    signal.subscribe((v) => list.push(v), false);
+    return list;
+  };
+
+  const input = new Signal(0);
+  const debounced = Signal.debounce(input, 100, { clock });
+  const throttled = Signal.throttle(input, 100, { clock });
+  const delayed = Signal.delay(input, 50, { clock });
+  const sampled = Signal.sampleTime(input, 100, { clock });
+  const buffered = Signal.bufferTime(input, 100, { clock });
+  const [d, th, de, s, b] = [debounced, throttled, delayed, sampled, buffered].map(values);
+  assert.equal(debounced.value, 0);
+
+  input.value = 1;
+  advance(30);
+  input.value = 2;
+  advance(30);
+  input.value = 3;
+  advance(200);
+  assert.deepEqual(d, [3]);
+  assert.deepEqual(th, [1, 3]);
+  assert.deepEqual(de, [1, 2, 3]);
+  assert.deepEqual(s, [3]);
+  assert.deepEqual(b, [[1, 2, 3]]);
+
+  [debounced, throttled, delayed, sampled, buffered].forEach((signal) => signal.dispose());
+  input.value = 4;
+  assert.equal(timers.size, 0);
+
+  const point = new Signal({ x: 1 });
+  const distinct = Signal.distinctUntilChanged(point, (a, b) => a.x === b.x);
+  const points = values(distinct);
+  point.value = { x: 1 };
+  point.value = { x: 2 };
+  assert.deepEqual(points, [{ x: 2 }]);
+});
+
+test('Operators combine signals and pipe() disposes the whole chain', (t) => {
+  const values = (signal) => {
+    const list = [];
+    signal.subscribe((v) => list.push(v));
+    return list;
+  };
+  const a = new Signal(1);
+  const b = new Signal('x');
+
+  const merged = values(Signal.merge(a, b));
+  const zipped = values(Signal.zip(a, b));
+  const latest = values(Signal.withLatestFrom(a, b));
+  const switched = values(Signal.switchMap(a, (v) => (v % 2 ? b : Signal.map(b, (s) => s + v))));
+  const started = values(Signal.startWith(a, 0));
+  const stop = new Signal();
+  const untilStop = values(Signal.takeUntil(a, stop));
+
+  a.value = 2;
+  b.value = 'y';
+  stop.value = true;
+  a.value = 3;
+  assert.deepEqual(merged, ['x', 2, 'y', 3]);
+  assert.deepEqual(zipped, [[1, 'x'], [2, 'y']]);
+  assert.deepEqual(latest, [[1, 'x'], [2, 'x'], [3, 'y']]);
+  assert.deepEqual(switched, ['x', 'x2', 'y2', 'y']);
+  assert.deepEqual(started, [0, 2, 3]);
+  assert.deepEqual(untilStop, [1, 2]);
+
+  const source = new Signal(1);
+  const piped = source.pipe(skip(1), filter((v) => v % 2 === 0), map((v) => v * 10), scan((sum, v) => sum + v, 0), pairwise(), take(2));
+  const pairs = values(piped);
+  [2, 3, 4, 6, 8].forEach((v) => (source.value = v));
+  assert.deepEqual(pairs, [[0, 20], [20, 60]]);
+
+  const chain = source.pipe(map((v) => v + 1), map((v) => v * 2));
+  const doubled = values(chain);
+  chain.dispose();
+  source.value = 100;
+  assert.deepEqual(doubled, [18]);
+  assert.deepEqual(pairs, [[0, 20], [20, 60]]);
+});
+
+test('Signal, Arr and Obj interoperate with Observables, async iteration and TC39 signals', async (t) => {
+  const count = new Signal(1);
+  const observed = [];
+  let completed = false;
+  const subscription = count[Signal.observable]().subscribe({ next: (v) => observed.push(v), complete: () => (completed = true) });
+  count.value = 2;
+  subscription.unsubscribe();
+  count.value = 3;
+  assert.deepEqual(observed, [1, 2]);
+  assert.equal(subscription.closed, true);
+
+  const list = new Arr([1]);
+  const lists = [];
+  list[Signal.observable]().subscribe({ next: (v) => lists.push(v.length), complete: () => (completed = true) });
+  list.push(2);
+  list[Signal.Symbol].dispose();
+  assert.deepEqual(lists, [1, 2]);
+  assert.equal(completed, true);
+
+  const settings = new Obj({ theme: 'light' });
+  const themes = [];
+  const iterating = (async () => {
+    for await (const value of settings) themes.push(value.theme);
+  })();
+  await new Promise((resolve) => setTimeout(resolve));
+  settings.theme = 'dark';
+  await new Promise((resolve) => setTimeout(resolve));
+  settings[Signal.Symbol].dispose();
+  await iterating;
+  assert.deepEqual(themes, ['light', 'dark']);
+
+  // A minimal Observable, the shape RxJS accepts and produces
+  const listeners = new Set();
+  const source = { [Signal.observable]() { return this; }, subscribe(observer) { listeners.add(observer); return { unsubscribe: () => listeners.delete(observer) }; } };
+  const adapted = Signal.from(source, 0);
+  listeners.forEach((observer) => observer.next(7));
+  assert.equal(adapted.value, 7);
+  adapted.dispose();
+  assert.equal(listeners.size, 0);
+  assert.equal(Signal.from(adapted), adapted);
+  assert.throws(() => Signal.from(42), TypeError);
+
+  const state = new TC39.State(2);
+  const doubled = new TC39.Computed(() => state.get() * 2);
+  const both = computed(() => doubled.get() + count.value);
+  assert.equal(both.value, 7);
+  state.set(5);
+  assert.equal(both.value, 13);
+  const wrapped = TC39.from(count);
+  wrapped.set(10);
+  assert.equal(count.value, 10);
+  assert.equal(TC39.from(both).get(), 20);
+  assert.equal(TC39.from(both).set, undefined);
+});
+
+test('Builder reads, writes, removes and queries paths', (t) => {
+  const root = new Obj();
+  Builder.set(root, 'users.arr/0/name', 'Alice');
+  Builder.set(root, 'users.arr/1', new Obj({ name: 'Bob', tags: new Arr(['a', 'b', 'c']) }));
+  Builder.set(root, `files/${Builder.escape('notes/today.txt')}`, 'hello');
+  assert.ok(root.users instanceof Arr);
+  assert.ok(root.users[0] instanceof Obj);
+  assert.equal(Builder.get(root, 'users.arr/0/name'), 'Alice');
+  assert.equal(root.files['notes/today.txt'], 'hello');
+  assert.equal(Builder.get(root, 'files/notes\\/today\\.txt'), 'hello');
+  assert.equal(Builder.has(root, 'users.arr/1/tags'), true);
+  assert.equal(Builder.has(root, 'users.arr/2/name'), false);
+
+  assert.deepEqual(Builder.query(root, 'users.arr/*/name'), ['Alice', 'Bob']);
+  assert.deepEqual(Builder.query(root, 'users.arr/1/tags.arr/[1:]'), ['b', 'c']);
+  assert.deepEqual(Builder.query(root, 'users.arr/[0:1]/name'), ['Alice']);
+  assert.deepEqual(Builder.query(root, 'users.arr/*/tags.arr/[-1:]'), ['c']);
+
+  const names = Builder.select(root, 'users.arr/*/name');
+  const seen = [];
+  names.subscribe((list) => seen.push([...list]));
+  root.users[1].tags.push('d');
+  root.users.push(new Obj({ name: 'Carol' }));
+  assert.equal(Builder.delete(root, 'users.arr/0'), true);
+  assert.equal(Builder.delete(root, 'users.arr/0/missing'), false);
+  assert.equal(Builder.delete(root, 'files/notes\\/today\\.txt'), true);
+  assert.deepEqual(Object.keys(root.files), []);
+  assert.deepEqual(seen, [['Alice', 'Bob'], ['Alice', 'Bob', 'Carol'], ['Bob', 'Carol']]);
+  names.dispose();
+});
+
+test('Builder builds reactive trees from templates and infers templates from trees', (t) => {
+  const storage = new MemoryStorage();
+  const spec = {
+    title: 'Notes',
+    count: { $value: 0, $schema: 'integer' },
+    tags: ['work'],
+    settings: { $type: 'obj', $options: { persistence: true }, theme: 'light' },
+    scores: { $type: 'map', $value: { alice: 1 } },
+    seen: { $type: 'set', $value: ['a'] },
+    cursor: { $type: 'signal', $value: 3 },
+    raw: { $type: 'value', $value: { x: 1 } },
+  };
+  const tree = Builder.fromTemplate(spec, { domain: 'template', storage });
+  assert.ok(tree instanceof Obj);
+  assert.ok(tree.tags instanceof Arr);
+  assert.ok(tree.scores instanceof ReactiveMap);
+  assert.ok(tree.seen instanceof ReactiveSet);
+  assert.ok(tree.cursor instanceof Signal);
+  assert.deepEqual(tree.raw, { x: 1 });
+  assert.equal(tree.settings[Signal.Symbol].name, 'settings');
+  assert.equal(tree.scores[Signal.Symbol].name, 'scores');
+  assert.equal(tree[Signal.Symbol].name, 'root');
+
+  tree.count = '5';
+  assert.equal(tree.count, 5);
+  assert.throws(() => (tree.count = 'many'), SchemaError);
+
+  tree.settings.theme = 'dark';
+  assert.equal(storage.get('template--settings').value.theme, 'dark');
+  assert.equal(Builder.fromTemplate(spec, { domain: 'template', storage }).settings.theme, 'dark');
+
+  const template = Builder.toTemplate(tree);
+  assert.deepEqual(template, {
+    title: 'Notes',
+    count: 5,
+    tags: ['work'],
+    settings: { theme: 'dark' },
+    scores: { $type: 'map', $value: [['alice', 1]] },
+    seen: { $type: 'set', $value: ['a'] },
+    cursor: { $type: 'signal', $value: 3 },
+    raw: { $type: 'value', $value: { x: 1 } },
+  });
+  assert.deepEqual(Builder.toTemplate(Builder.fromTemplate(template)), template);
+  assert.throws(() => Builder.fromTemplate({ $type: 'tree' }), TypeError);
+});
+
+test('snapshot shares unchanged subtrees, hydrate applies minimal mutations, toRaw unwraps', (t) => {
+  const tree = new Obj({
+    user: new Obj({ name: 'Alice', tags: new Arr(['a', 'b']) }),
+    todos: new Arr([new Obj({ text: 'one', done: false }), new Obj({ text: 'two', done: false })]),
+    scores: new ReactiveMap([['alice', 1]]),
+  });
+  const first = snapshot(tree);
+  assert.ok(Object.isFrozen(first) && Object.isFrozen(first.user.tags) && Object.isFrozen(first.todos[1]));
+  assert.deepEqual(first, { user: { name: 'Alice', tags: ['a', 'b'] }, todos: [{ text: 'one', done: false }, { text: 'two', done: false }], scores: [['alice', 1]] });
+  assert.equal(snapshot(tree), first);
+
+  tree.todos[1].done = true;
+  const second = snapshot(tree);
+  assert.notEqual(second, first);
+  assert.equal(second.user, first.user);
+  assert.equal(second.todos[0], first.todos[0]);
+  assert.notEqual(second.todos[1], first.todos[1]);
+
+  const notified = [];
+  tree.user.subscribe(() => notified.push('user'), false);
+  tree.todos[0].subscribe(() => notified.push('todo 0'), false);
+  tree.todos[1].subscribe(() => notified.push('todo 1'), false);
+  tree.todos.push(new Obj({ text: 'three' }));
+  tree.scores.set('bob', 2);
+  const todo = tree.todos[1];
+  hydrate(tree, first);
+  assert.deepEqual(snapshot(tree), first);
+  assert.equal(snapshot(tree), first);
+  assert.equal(tree.todos[1], todo);
+  assert.deepEqual(notified, ['todo 1']);
+
+  hydrate(tree, { ...first, user: { name: 'Bob', tags: ['a'] } });
+  assert.equal(tree.user.name, 'Bob');
+  assert.ok(tree.user.tags instanceof Arr);
+  tree.user.tags.push('c');
+  assert.deepEqual([...tree.user.tags], ['a', 'c']);
+
+  const raw = toRaw(tree.todos);
+  assert.ok(Array.isArray(raw));
+  assert.equal(raw[Signal.Symbol], tree.todos[Signal.Symbol]);
+  assert.notEqual(raw, tree.todos);
+  assert.equal(toRaw(raw), raw);
+  assert.equal(toRaw(42), 42);
+  assert.throws(() => hydrate(tree.todos, { text: 'wrong' }), TypeError);
+});
+
+test('Signal serialization round-trips rich values through persistence, sync and structural mode', (t) => {
+  class Point {
+    constructor(x = 0, y = 0) {
+      this.x = x;
+      this.y = y;
+    }
+    get length() {
+      return Math.hypot(this.x, this.y);
+    }
+  }
+  Codec.register(Point);
+  t.after(() => Codec.unregister(Point));
+
+  const storage = new MemoryStorage();
+  const options = { domain: 'codec', name: 'doc', persistence: true, storage };
+  const doc = new Obj({
+    tags: new Arr(['a', new Obj({ deep: true })]),
+    cursor: new Signal(3),
+    lookup: new Map([[1, { one: true }]]),
+    seen: new Set(['x']),
+    due: new Date('2024-01-02T03:04:05.000Z'),
+    big: 12345678901234567890n,
+    pattern: /ab+c/gi,
+    origin: new Point(3, 4),
+    scores: new ReactiveMap([['bob', 2]]),
+    labels: new ReactiveSet(['red']),
+    literal: { $type: 'Map', $value: 'not a map' },
+  }, options);
+  doc.title = 'Plan';
+
+  const restored = new Obj({}, options);
+  assert.equal(restored.title, 'Plan');
+  assert.ok(restored.tags instanceof Arr);
+  assert.ok(restored.tags[1] instanceof Obj);
+  assert.equal(restored.tags[1].deep, true);
+  assert.ok(restored.cursor instanceof Signal);
+  assert.equal(restored.cursor.value, 3);
+  assert.deepEqual(restored.lookup, new Map([[1, { one: true }]]));
+  assert.deepEqual(restored.seen, new Set(['x']));
+  assert.equal(restored.due.toISOString(), '2024-01-02T03:04:05.000Z');
+  assert.equal(restored.big, 12345678901234567890n);
+  assert.equal(String(restored.pattern), '/ab+c/gi');
+  assert.ok(restored.origin instanceof Point);
+  assert.equal(restored.origin.length, 5);
+  assert.ok(restored.scores instanceof ReactiveMap);
+  assert.equal(restored.scores.get('bob'), 2);
+  assert.ok(restored.labels instanceof ReactiveSet);
+  assert.ok(restored.labels.has('red'));
+  assert.deepEqual(restored.literal, { $type: 'Map', $value: 'not a map' });
+
+  const shared = { domain: 'codec', name: 'synced', persistence: true, synchronization: true, storage };
+  const left = new Signal(null, shared);
+  const right = new Signal(null, shared);
+  left.value = new Map([['when', new Date(0)], ['ids', new Set([1n, 2n])]]);
+  assert.ok(right.value instanceof Map);
+  assert.equal(right.value.get('when').getTime(), 0);
+  assert.deepEqual(right.value.get('ids'), new Set([1n, 2n]));
+  const entries = new ReactiveMap([], { ...shared, name: 'entries' });
+  new ReactiveMap([], { ...shared, name: 'entries' }).set('at', new Date(5));
+  assert.equal(entries.get('at').getTime(), 5);
+
+  const structure = new Signal({ name: 'Alice', tags: ['a', 'b'], when: new Date(), lookup: new Map([['k', 1]]) }, { structural: true });
+  assert.deepEqual(structure.toJSON().value, { name: null, tags: [null, null], when: null, lookup: { $type: 'Map', $value: [['k', null]] } });
+});
+
+test('Str and Num derive reactive values', () => {
+  const name = new Str('alice');
+  const shout = name.toUpperCase();
+  const price = new Num(1.5);
+  const quantity = new Num(2);
+  const total = price.mul(quantity).toFixed(2);
+
+  const totals = [];
+  total.subscribe((value) => totals.push(value));
+  assert.equal(shout.value, 'ALICE');
+  assert.equal(`${name}!`, 'alice!');
+  assert.deepEqual([...name], ['a', 'l', 'i', 'c', 'e']);
+  assert.equal(price + 1, 2.5);
+
+  name.value = 'bob';
+  assert.equal(shout.value, 'BOB');
+  assert.equal(name.length.value, 3);
+  assert.equal(name.startsWith('b').value, true);
+
+  quantity.value = 4;
+  price.value = '2';
+  assert.deepEqual(totals, ['3.00', '6.00', '8.00']);
+  assert.equal(price.gt(quantity).value, false);
+  assert.throws(() => (shout.value = 'CAROL'));
+
+  assert.equal(JSON.stringify({ name, price }), '{"name":"bob","price":2}');
+  assert.ok(Codec.decode(Codec.encode({ name })).name instanceof Str);
+
+  price[Signal.Symbol].dispose();
+  quantity.value = 5;
+  assert.deepEqual(totals, ['3.00', '6.00', '8.00']);
+});
+
+test('An effect writing its own dependency does not re-run itself', () => {
+  const count = new Signal(0);
+  const seen = [];
+  count.subscribe((value) => seen.push(value), false);
+  let runs = 0;
+  const dispose = effect(() => {
+    runs++;
+    if (runs > 10) throw new Error('effect loops');
+    count.value = count.value + 1;
+  });
+
+  count.value = 10;
+  assert.equal(runs, 2);
+  assert.equal(count.value, 11);
+  assert.deepEqual(seen, [1, 10, 11]);
+
+  // Effects that feed each other stop once the chain comes back around
+  const left = new Signal(0);
+  const right = new Signal(0);
+  let loops = 0;
+  effect(() => (right.value = left.value + 1));
+  effect(() => {
+    if (++loops > 10) throw new Error('effects loop');
+    left.value = right.value + 1;
+  });
+  left.value = 5;
+  assert.ok(loops < 10);
+  dispose();
+});
+
+test('Deep change records follow items that moved', async () => {
+  const list = new Arr([{ n: 'a' }, { n: 'b' }, { n: 'c' }], { records: true, deep: true });
+  const paths = [];
+  list.subscribe((value, records) => paths.push(...records.filter((record) => record.op === 'set').map((record) => record.path)), { signal: false });
+
+  const b = list[1];
+  b.n = 'B';
+  list.shift();
+  list[0].n = 'BB';
+  list.sort((x, y) => (x.n < y.n ? 1 : -1)); // c, BB
+  b.n = 'X';
+  const [removed] = list.splice(0, 1);
+  removed.n = 'gone';
+
+  await Promise.resolve();
+  assert.deepEqual(paths, [[1, 'n'], [0, 'n'], [1, 'n']]);
+  assert.deepEqual(JSON.parse(JSON.stringify(list)), [{ n: 'X' }]);
+});
+
+test('schema checks initial values and values from sync', async () => {
+  assert.throws(() => new Obj({ age: 'abc' }, { schema: { age: 'integer' } }), SchemaError);
+  const user = new Obj({ age: '42' }, { schema: { age: 'integer', tags: ['string'] } });
+  assert.equal(user.age, 42);
+  assert.throws(() => new Arr([1, 'x'], { schema: ['number'] }), /Expected number at 1/);
+
+  const count = new Signal(1, { schema: 'integer' });
+  const errors = [];
+  count.onError((error, details) => errors.push(details.phase));
+  count.sync({ rev: 5, revId: 'remote', value: 'not-int' });
+  assert.equal(count.value, 1);
+  count.sync({ rev: 6, revId: 'remote-2', value: '7' });
+  assert.equal(count.value, 7);
+
+  // Two valid sides whose merge is invalid
+  const even = new Signal(2, { schema: (value) => value % 2 === 0, conflict: (local, remote) => local + remote + 1 });
+  even.onError((error, details) => errors.push(details.phase));
+  const base = even.revId;
+  even.value = 4;
+  even.sync({ rev: 1, revId: 'remote', parent: base, value: 6 });
+  assert.equal(even.value, 4);
+
+  await Promise.resolve();
+  assert.deepEqual(errors, ['validation', 'validation']);
+
+  // Reactive containers are checked where they are, not replaced by plain copies
+  const team = new Obj({ lead: { age: 1 }, members: [] }, { schema: { lead: { age: 'integer' }, members: [{ age: 'integer' }] } });
+  const lead = new Obj({ age: '30' });
+  const members = new Arr([new Obj({ age: '20' })]);
+  team.lead = lead;
+  team.members = members;
+  assert.ok(team.lead instanceof Obj);
+  assert.ok(team.members instanceof Arr);
+  assert.equal(lead.age, 30);
+  assert.equal(members[0].age, 20);
+  assert.equal(team.lead[Signal.Symbol], lead[Signal.Symbol]);
+});
+
+test('errors without subscribers are kept for the next onError instead of thrown', async () => {
+  const count = new Signal(1, { schema: 'integer', version: 1 });
+  count.sync({ rev: 5, revId: 'remote', version: 2, value: 3 });
+  count.sync({ rev: 6, revId: 'remote-2', value: 'not-int' });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.equal(count.value, 1);
+
+  const phases = [];
+  count.onError((error, details) => phases.push(details.phase));
+  assert.deepEqual(phases, ['validation']);
+});
+
+test('subscribe accepts a boolean autorun flag on every container', () => {
+  const calls = [];
+  const map = new ReactiveMap([['a', 1]]);
+  const set = new ReactiveSet(['a']);
+  const list = new Arr([1]);
+  map.subscribe(() => calls.push('map'), false);
+  set.subscribe(() => calls.push('set'), false);
+  list.subscribe(() => calls.push('arr'), false);
+  assert.deepEqual(calls, []);
+
+  map.set('b', 2);
+  set.add('b');
+  list.push(2);
+  assert.deepEqual(calls, ['map', 'set', 'arr']);
+
+  map.subscribe(() => calls.push('map autorun'), true);
+  assert.equal(calls.at(-1), 'map autorun');
+});
+
+test('switchMap disposes the signals its projection created', () => {
+  const search = new Signal('a');
+  const requests = [];
+  const sources = [];
+  const fetcher = (query, { signal }) => {
+    requests.push({ query, signal });
+    return new Promise(() => {});
+  };
+  const shared = new Signal('cached');
+  const project = (q) => {
+    if (q === 'shared') return shared;
+    const source = new Signal(q);
+    sources.push(source);
+    return Signal.resource(source, fetcher).value;
+  };
+  const results = search.pipe(map((q) => q), switchMap(project));
+
+  search.value = 'b';
+  assert.deepEqual(requests.map(({ query }) => query), ['a', 'b']);
+  assert.equal(requests[0].signal.aborted, true);
+  assert.equal(requests[1].signal.aborted, false);
+  sources[0].value = 'stale';
+  assert.equal(requests.length, 2); // the first resource no longer follows its source
+
+  search.value = 'shared';
+  assert.equal(requests[1].signal.aborted, true);
+  assert.equal(results.value, 'cached');
+
+  search.value = 'c';
+  results.dispose();
+  assert.equal(requests.at(-1).signal.aborted, true);
+  search.value = 'd';
+  sources.at(-1).value = 'e';
+  assert.equal(requests.length, 3); // nothing is left subscribed
+  shared.value = 'still usable';
+  assert.equal(shared.value, 'still usable');
+});
+
+test('Str and Num dispose their derived values', (t) => {
+  const name = new Str('ada');
+  assert.equal(name.length, name.length);
+  const upper = name.toUpperCase();
+  const padded = upper.padStart(5, '*');
+  const seen = [];
+  padded.subscribe((value) => seen.push(value));
+  name.value = 'bob';
+  assert.deepEqual(seen, ['**ADA', '**BOB']);
+
+  name.dispose();
+  name.value = 'carl';
+  assert.deepEqual(seen, ['**ADA', '**BOB']);
+  assert.equal(upper[Signal.Symbol].dependencies.length, 0);
+
+  const price = new Num(2);
+  const total = price.mul(3);
+  const totals = [];
+  total.subscribe((value) => totals.push(value));
+  price.dispose();
+  price.value = 5;
+  assert.deepEqual(totals, [6]);
+
+  // A derived value disposed on its own is taken off its source, so deriving in a loop does not pile up
+  const word = new Str('hi');
+  const removed = t.mock.method(word[Signal.Symbol], 'removeDisposable');
+  for (let i = 0; i < 3; i++) word.toUpperCase().dispose();
+  new Num(1).add(word.length).dispose();
+  assert.equal(removed.mock.callCount(), 3);
+});
+
+test('computed signals read inside a batch see the writes made before them', () => {
+  const b = new Signal(1);
+  const d = computed(() => b.value * 2);
+  const e = computed(() => d.value + 1);
+  assert.equal(e.value, 3);
+  const seen = [];
+  d.subscribe((value) => seen.push(value));
+
+  assert.equal(Signal.batch(() => { b.value = 5; return d.value; }), 10);
+  assert.equal(Signal.batch(() => { b.value = 6; return e.value; }), 13);
+  assert.deepEqual(seen, [2, 10, 12]);
+});